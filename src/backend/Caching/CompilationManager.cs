@@ -37,7 +37,7 @@ public async Task<CompilationResult> GetOrBuildCompilationAsync(string projectPa
         // Check if we have a cached compilation and it's still valid
         if (!forceRebuild && _compilationCache.TryGetValue(normalizedPath, out var cached))
         {
-            if (!HasProjectChanged(normalizedPath, cached.Timestamp))
+            if (!HasProjectChanged(normalizedPath, cached))
             {
                 return new CompilationResult
                 {
@@ -100,7 +100,10 @@ private async Task<CompilationResult> BuildAndCacheCompilationAsync(string proje
             {
                 Compilation = compilation,
                 Timestamp = DateTime.UtcNow,
-                Errors = errors
+                Errors = errors,
+                SourceTimestamps = CaptureTimestamps(project.Documents
+                    .Select(d => d.FilePath)
+                    .OfType<string>())
             };
 
             _compilationCache[projectPath] = cached;
@@ -131,7 +134,6 @@ private async Task<CompilationResult> BuildSimpleCompilationAsync(string project
         try
         {
             // Parse project file to get source files
-            var projectDir = Path.GetDirectoryName(projectPath) ?? "";
             var sourceFiles = GetSourceFilesFromProject(projectPath);
 
             if (!sourceFiles.Any())
@@ -142,12 +144,8 @@ private async Task<CompilationResult> BuildSimpleCompilationAsync(string project
 
             // Parse all source files
             var syntaxTrees = new List<SyntaxTree>();
-            foreach (var sourceFile in sourceFiles)
+            foreach (var fullPath in ResolveSourcePaths(projectPath, sourceFiles))
             {
-                var fullPath = Path.IsPathRooted(sourceFile)
-                    ? sourceFile
-                    : Path.Combine(projectDir, sourceFile);
-
                 if (File.Exists(fullPath))
                 {
                     var code = await File.ReadAllTextAsync(fullPath);
@@ -175,7 +173,8 @@ private async Task<CompilationResult> BuildSimpleCompilationAsync(string project
             {
                 Compilation = compilation,
                 Timestamp = DateTime.UtcNow,
-                Errors = errors
+                Errors = errors,
+                SourceTimestamps = CaptureTimestamps(syntaxTrees.Select(t => t.FilePath))
             };
 
             _compilationCache[projectPath] = cached;
@@ -237,6 +236,36 @@ private List<string> GetSourceFilesFromProject(string projectPath)
         return files;
     }
 
+    /// <summary>
+    /// Resolves the source files of a project to absolute paths.
+    /// </summary>
+    private IEnumerable<string> ResolveSourcePaths(string projectPath, IEnumerable<string> sourceFiles)
+    {
+        var projectDir = Path.GetDirectoryName(projectPath) ?? "";
+
+        return sourceFiles.Select(sourceFile => Path.GetFullPath(Path.IsPathRooted(sourceFile)
+            ? sourceFile
+            : Path.Combine(projectDir, sourceFile)));
+    }
+
+    /// <summary>
+    /// Records the last write time of each existing file.
+    /// </summary>
+    private Dictionary<string, DateTime> CaptureTimestamps(IEnumerable<string> filePaths)
+    {
+        var timestamps = new Dictionary<string, DateTime>(StringComparer.OrdinalIgnoreCase);
+
+        foreach (var filePath in filePaths)
+        {
+            if (File.Exists(filePath))
+            {
+                timestamps[Path.GetFullPath(filePath)] = File.GetLastWriteTimeUtc(filePath);
+            }
+        }
+
+        return timestamps;
+    }
+
     /// <summary>
     /// Gets basic framework references for compilation.
     /// </summary>
@@ -256,21 +285,33 @@ private IEnumerable<MetadataReference> GetBasicReferences()
     }
 
     /// <summary>
-    /// Checks if the project or its files have changed since the given timestamp.
+    /// Checks if the project or its files have changed since the compilation was cached.
+    /// A long-lived backend reuses compilations across requests, so source edits,
+    /// added files and deleted files must all invalidate the cache.
     /// </summary>
-    private bool HasProjectChanged(string projectPath, DateTime cachedTimestamp)
+    private bool HasProjectChanged(string projectPath, CachedCompilation cached)
     {
         // Check project file itself
         var projectFileInfo = new FileInfo(projectPath);
-        if (!projectFileInfo.Exists || projectFileInfo.LastWriteTimeUtc > cachedTimestamp)
+        if (!projectFileInfo.Exists || projectFileInfo.LastWriteTimeUtc > cached.Timestamp)
         {
             return true;
         }
 
-        // Check if any source files have been modified
-        // For now, just check the project file. In a full implementation,
-        // we would check all source files referenced by the project.
-        return false;
+        // Check if any cached source file has been modified or deleted
+        foreach (var (filePath, timestamp) in cached.SourceTimestamps)
+        {
+            if (!File.Exists(filePath) || File.GetLastWriteTimeUtc(filePath) != timestamp)
+            {
+                return true;
+            }
+        }
+
+        // Check if source files have been added to the project
+        var currentFiles = ResolveSourcePaths(projectPath, GetSourceFilesFromProject(projectPath))
+            .Where(File.Exists);
+
+        return currentFiles.Any(f => !cached.SourceTimestamps.ContainsKey(f));
     }
 
     /// <summary>
@@ -315,6 +356,7 @@ internal class CachedCompilation
     public required Compilation Compilation { get; init; }
     public DateTime Timestamp { get; init; }
     public List<string> Errors { get; init; } = new();
+    public Dictionary<string, DateTime> SourceTimestamps { get; init; } = new();
 }
 
 /// <summary>
@@ -0,0 +1,17 @@
+namespace SharpCodeSearch.Models;
+
+/// <summary>
+/// How the literal text of a pattern (names, keywords, literals) is compared with code.
+/// </summary>
+public class MatchOptions
+{
+    /// <summary>
+    /// Compare case-sensitively (the default). Values captured by placeholders are always compared exactly.
+    /// </summary>
+    public bool MatchCase { get; init; } = true;
+
+    /// <summary>
+    /// Only match the pattern's text as whole words, e.g. "Write($args$)" does not match WriteLine(...).
+    /// </summary>
+    public bool WholeWord { get; init; }
+}
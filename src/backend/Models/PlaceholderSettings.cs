@@ -0,0 +1,34 @@
+namespace SharpCodeSearch.Models;
+
+/// <summary>
+/// Kind and constraints of a placeholder given alongside the pattern text,
+/// e.g. from the extension's constraint editor or a catalog entry.
+/// </summary>
+public class PlaceholderSettings
+{
+    /// <summary>
+    /// Placeholder kind (expression, identifier, statement, arguments, type, member), overriding the one inferred from the name.
+    /// </summary>
+    public string? Kind { get; init; }
+
+    /// <summary>
+    /// Required type of the matched node (see <see cref="TypeConstraint"/>).
+    /// </summary>
+    public string? Type { get; init; }
+
+    /// <summary>
+    /// Regular expression the matched text must match.
+    /// </summary>
+    public string? Regex { get; init; }
+
+    /// <summary>
+    /// Bounds on the number of matched items, e.g. arguments.
+    /// </summary>
+    public int? MinCount { get; init; }
+    public int? MaxCount { get; init; }
+
+    /// <summary>
+    /// Text the matched value must equal.
+    /// </summary>
+    public string? Exact { get; init; }
+}
@@ -1,8 +1,14 @@
-﻿using System.Text.Json;
+﻿using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
 
+using Microsoft.CodeAnalysis;
 using Microsoft.CodeAnalysis.CSharp;
+using Microsoft.CodeAnalysis.Text;
 
 using SharpCodeSearch.Caching;
+using SharpCodeSearch.Models;
+using SharpCodeSearch.Server;
 using SharpCodeSearch.Services;
 using SharpCodeSearch.Workspace;
 
@@ -19,8 +25,18 @@ static async Task<int> Main(string[] args)
         string? projectFilter = null;
         string? fileFilter = null;
         string? folderFilter = null;
+        var includeGlobs = new List<string>();
+        var excludeGlobs = new List<string>();
+        List<string>? scopeFiles = null;
+        int? startLine = null;
+        int? endLine = null;
+        string? overlaysFile = null;
+        string? constraintsJson = null;
+        bool matchCase = true;
+        bool wholeWord = false;
         string output = "json";
         bool apply = false;
+        bool daemon = false;
         int maxParallelism = Environment.ProcessorCount;
 
         // Simple CLI argument parsing
@@ -52,6 +68,35 @@ static async Task<int> Main(string[] args)
                 case "--folder-filter" when i + 1 < args.Length:
                     folderFilter = args[++i];
                     break;
+                case "--include" when i + 1 < args.Length:
+                    includeGlobs.Add(args[++i]);
+                    break;
+                case "--exclude" when i + 1 < args.Length:
+                    excludeGlobs.Add(args[++i]);
+                    break;
+                case "--scope-file" when i + 1 < args.Length:
+                    (scopeFiles ??= new List<string>()).Add(args[++i]);
+                    break;
+                case "--start-line" when i + 1 < args.Length:
+                    if (int.TryParse(args[++i], out var start))
+                        startLine = start;
+                    break;
+                case "--end-line" when i + 1 < args.Length:
+                    if (int.TryParse(args[++i], out var end))
+                        endLine = end;
+                    break;
+                case "--overlays" when i + 1 < args.Length:
+                    overlaysFile = args[++i];
+                    break;
+                case "--constraints" when i + 1 < args.Length:
+                    constraintsJson = args[++i];
+                    break;
+                case "--ignore-case":
+                    matchCase = false;
+                    break;
+                case "--whole-word":
+                    wholeWord = true;
+                    break;
                 case "--max-parallelism" when i + 1 < args.Length:
                     if (int.TryParse(args[++i], out var parallelism))
                         maxParallelism = parallelism;
@@ -59,6 +104,9 @@ static async Task<int> Main(string[] args)
                 case "--output" when i + 1 < args.Length:
                     output = args[++i];
                     break;
+                case "--daemon":
+                    daemon = true;
+                    break;
                 case "--help":
                 case "-h":
                     PrintHelp();
@@ -66,6 +114,14 @@ static async Task<int> Main(string[] args)
             }
         }
 
+        if (daemon)
+        {
+            // Serve JSON-RPC requests over stdio until stdin is closed or shutdown is requested
+            var server = new DaemonServer(Console.OpenStandardInput(), Console.OpenStandardOutput());
+            await server.RunAsync();
+            return 0;
+        }
+
         if (pattern == null)
         {
             Console.Error.WriteLine("Error: --pattern is required");
@@ -73,32 +129,71 @@ static async Task<int> Main(string[] args)
             return 1;
         }
 
+        Dictionary<string, string>? overlays = null;
+        if (overlaysFile != null)
+        {
+            try
+            {
+                overlays = JsonSerializer.Deserialize<Dictionary<string, string>>(File.ReadAllText(overlaysFile));
+            }
+            catch (Exception ex) when (ex is IOException or JsonException)
+            {
+                Console.Error.WriteLine($"Error: Cannot read overlays from {overlaysFile}: {ex.Message}");
+                return 1;
+            }
+        }
+
+        Dictionary<string, PlaceholderSettings>? constraints = null;
+        if (constraintsJson != null)
+        {
+            try
+            {
+                constraints = JsonSerializer.Deserialize<Dictionary<string, PlaceholderSettings>>(
+                    constraintsJson, new JsonSerializerOptions { PropertyNameCaseInsensitive = true });
+            }
+            catch (JsonException ex)
+            {
+                Console.Error.WriteLine($"Error: Invalid --constraints JSON: {ex.Message}");
+                return 1;
+            }
+        }
+
+        var request = new SearchRequest
+        {
+            Pattern = pattern,
+            Replace = replace,
+            File = file,
+            Workspace = workspace,
+            ProjectFilter = projectFilter,
+            FileFilter = fileFilter,
+            FolderFilter = folderFilter,
+            Include = includeGlobs,
+            Exclude = excludeGlobs,
+            Files = scopeFiles,
+            StartLine = startLine,
+            EndLine = endLine,
+            Overlays = overlays,
+            Constraints = constraints,
+            MatchCase = matchCase,
+            WholeWord = wholeWord,
+            MaxParallelism = maxParallelism
+        };
+
+        var compilationManager = new CompilationManager();
+        var progressReporter = new JsonProgressReporter();
+
         try
         {
             if (replace != null)
             {
                 // Execute search and replace
-                var replacements = await ExecuteReplaceAsync(pattern, replace, file, workspace,
-                    projectFilter, fileFilter, folderFilter, maxParallelism, apply);
+                var replacements = await ExecuteReplaceAsync(request, compilationManager, progressReporter);
 
                 // Apply replacements to files if requested
                 List<ReplacementApplicationResult>? applicationResults = null;
                 if (apply && replacements.Any())
                 {
-                    var applier = new ReplacementApplier();
-                    applicationResults = applier.ApplyReplacements(
-                        replacements
-                            .Select(r => new Models.ReplacementResult
-                            {
-                                ReplacementText = r.ReplacementCode,
-                                OriginalText = r.OriginalCode,
-                                FilePath = r.FilePath,
-                                StartPosition = r.StartPosition,
-                                EndPosition = r.EndPosition,
-                                BaseIndentation = 0
-                            })
-                            .ToList()
-                    );
+                    applicationResults = ApplyReplacements(replacements);
                 }
 
                 // Output replacement/application results
@@ -122,11 +217,16 @@ static async Task<int> Main(string[] args)
                     OutputReplacementText(replacements);
                 }
             }
+            else if (output.Equals("ndjson", StringComparison.OrdinalIgnoreCase))
+            {
+                // Stream each match as soon as it is found, then a summary line
+                var results = await ExecuteSearchAsync(request, compilationManager, progressReporter, OutputNdjsonMatch);
+                OutputNdjsonSummary(results);
+            }
             else
             {
                 // Execute the search
-                var results = await ExecuteSearchAsync(pattern, file, workspace,
-                    projectFilter, fileFilter, folderFilter, maxParallelism);
+                var results = await ExecuteSearchAsync(request, compilationManager, progressReporter);
 
                 // Output results
                 if (output.Equals("json", StringComparison.OrdinalIgnoreCase))
@@ -148,83 +248,57 @@ static async Task<int> Main(string[] args)
         }
     }
 
-    static async Task<List<SearchResult>> ExecuteSearchAsync(
-        string pattern,
-        string? file,
-        string? workspace,
-        string? projectFilter,
-        string? fileFilter,
-        string? folderFilter,
-        int maxParallelism)
+    internal static async Task<List<SearchResult>> ExecuteSearchAsync(
+        SearchRequest request,
+        CompilationManager compilationManager,
+        IProgressReporter? progressReporter,
+        Action<SearchResult>? onResult = null,
+        CancellationToken cancellationToken = default)
     {
+        var file = request.File;
+
         // Parse the pattern
         var parser = new PatternParser();
-        var patternAst = parser.Parse(pattern);
+        var patternAst = parser.ApplyPlaceholderSettings(parser.Parse(request.Pattern), request.Constraints);
 
         var results = new List<SearchResult>();
 
         if (file != null)
         {
             // Search in a single file
-            if (!File.Exists(file))
-            {
-                throw new FileNotFoundException($"File not found: {file}");
-            }
-
-            var code = File.ReadAllText(file);
+            var code = ReadSource(file, request.Overlays);
             var syntaxTree = CSharpSyntaxTree.ParseText(code, path: file);
             var root = syntaxTree.GetRoot();
 
-            var matcher = new PatternMatcher();
+            var matcher = new PatternMatcher(options: CreateMatchOptions(request));
             var matches = matcher.FindMatches(patternAst, root);
 
             foreach (var match in matches)
             {
-                var lineSpan = match.Location.GetLineSpan();
-                results.Add(new SearchResult
-                {
-                    FilePath = file,
-                    Line = lineSpan.StartLinePosition.Line + 1,
-                    Column = lineSpan.StartLinePosition.Character + 1,
-                    MatchedCode = match.Node.ToString(),
-                    Placeholders = match.Placeholders
-                });
+                cancellationToken.ThrowIfCancellationRequested();
+
+                var result = CreateSearchResult(file, match.Node, match.Location, match.Placeholders, match.PlaceholderSpans);
+
+                results.Add(result);
+                onResult?.Invoke(result);
             }
         }
         else
         {
             // Workspace-level search
-            var workspacePath = workspace ?? Directory.GetCurrentDirectory();
-
-            var compilationManager = new CompilationManager();
-            var progressReporter = new JsonProgressReporter();
-            var workspaceMatcher = new WorkspaceMatcher(compilationManager, progressReporter);
-
-            var options = new WorkspaceSearchOptions
-            {
-                ProjectFilter = projectFilter,
-                FileFilter = fileFilter,
-                FolderFilter = folderFilter,
-                MaxDegreeOfParallelism = maxParallelism
-            };
+            var workspacePath = request.Workspace ?? Directory.GetCurrentDirectory();
+            var matchReporter = onResult != null
+                ? new DelegateMatchReporter(match => onResult(ToSearchResult(match)))
+                : null;
+            var workspaceMatcher = new WorkspaceMatcher(compilationManager, progressReporter, matchReporter);
 
             var searchResult = await workspaceMatcher.SearchWorkspaceAsync(
                 patternAst,
                 workspacePath,
-                options);
+                CreateWorkspaceOptions(request),
+                cancellationToken);
 
-            foreach (var match in searchResult.Matches)
-            {
-                var lineSpan = match.Location.GetLineSpan();
-                results.Add(new SearchResult
-                {
-                    FilePath = match.FilePath,
-                    Line = lineSpan.StartLinePosition.Line + 1,
-                    Column = lineSpan.StartLinePosition.Character + 1,
-                    MatchedCode = match.Node.ToString(),
-                    Placeholders = match.Placeholders
-                });
-            }
+            results.AddRange(searchResult.Matches.Select(ToSearchResult));
 
             // Report any errors
             if (searchResult.Errors.Any())
@@ -240,41 +314,39 @@ static async Task<int> Main(string[] args)
         return results;
     }
 
-    static async Task<List<ReplacementOutput>> ExecuteReplaceAsync(
-        string pattern,
-        string replacePattern,
-        string? file,
-        string? workspace,
-        string? projectFilter,
-        string? fileFilter,
-        string? folderFilter,
-        int maxParallelism,
-        bool apply = false)
+    internal static async Task<List<ReplacementOutput>> ExecuteReplaceAsync(
+        SearchRequest request,
+        CompilationManager compilationManager,
+        IProgressReporter? progressReporter,
+        CancellationToken cancellationToken = default)
     {
+        if (request.Replace == null)
+            throw new ArgumentException("A replacement pattern is required", nameof(request));
+
+        var file = request.File;
+
         // Parse patterns
         var parser = new PatternParser();
-        var searchPatternAst = parser.Parse(pattern);
-        var replacePatternAst = parser.ParseReplacePattern(replacePattern, searchPatternAst);
+        var searchPatternAst = parser.ApplyPlaceholderSettings(parser.Parse(request.Pattern), request.Constraints);
+        var replacePatternAst = parser.ParseReplacePattern(request.Replace, searchPatternAst);
 
         var replacements = new List<ReplacementOutput>();
 
         if (file != null)
         {
             // Replace in a single file
-            if (!File.Exists(file))
-            {
-                throw new FileNotFoundException($"File not found: {file}");
-            }
-
-            var code = File.ReadAllText(file);
+            var code = ReadSource(file, request.Overlays);
+            var contentHash = ComputeContentHash(code);
             var syntaxTree = CSharpSyntaxTree.ParseText(code, path: file);
             var root = syntaxTree.GetRoot();
 
-            var matcher = new PatternMatcher();
+            var matcher = new PatternMatcher(options: CreateMatchOptions(request));
             var matches = matcher.FindMatches(searchPatternAst, root);
 
             foreach (var match in matches)
             {
+                cancellationToken.ThrowIfCancellationRequested();
+
                 var result = match.ApplyReplacement(replacePatternAst);
                 var lineSpan = match.Location.GetLineSpan();
                 var span = match.Location.SourceSpan;
@@ -288,6 +360,7 @@ static async Task<int> Main(string[] args)
                     EndPosition = span.End,
                     OriginalCode = result.OriginalText,
                     ReplacementCode = result.ReplacementText,
+                    ContentHash = contentHash,
                     Placeholders = match.Placeholders
                 });
             }
@@ -295,24 +368,16 @@ static async Task<int> Main(string[] args)
         else
         {
             // Workspace-level replace
-            var workspacePath = workspace ?? Directory.GetCurrentDirectory();
-
-            var compilationManager = new CompilationManager();
-            var progressReporter = new JsonProgressReporter();
+            var workspacePath = request.Workspace ?? Directory.GetCurrentDirectory();
             var workspaceMatcher = new WorkspaceMatcher(compilationManager, progressReporter);
 
-            var options = new WorkspaceSearchOptions
-            {
-                ProjectFilter = projectFilter,
-                FileFilter = fileFilter,
-                FolderFilter = folderFilter,
-                MaxDegreeOfParallelism = maxParallelism
-            };
-
             var searchResult = await workspaceMatcher.SearchWorkspaceAsync(
                 searchPatternAst,
                 workspacePath,
-                options);
+                CreateWorkspaceOptions(request),
+                cancellationToken);
+
+            var contentHashes = new Dictionary<string, string>();
 
             foreach (var matchResult in searchResult.Matches)
             {
@@ -328,6 +393,13 @@ static async Task<int> Main(string[] args)
                 var lineSpan = matchResult.Location.GetLineSpan();
                 var span = matchResult.Location.SourceSpan;
 
+                // Hash the text that was searched (the overlay, if any), once per file
+                if (!contentHashes.TryGetValue(matchResult.FilePath, out var contentHash))
+                {
+                    contentHash = ComputeContentHash(matchResult.Node.SyntaxTree.GetText().ToString());
+                    contentHashes[matchResult.FilePath] = contentHash;
+                }
+
                 replacements.Add(new ReplacementOutput
                 {
                     FilePath = matchResult.FilePath,
@@ -337,6 +409,7 @@ static async Task<int> Main(string[] args)
                     EndPosition = span.End,
                     OriginalCode = result.OriginalText,
                     ReplacementCode = result.ReplacementText,
+                    ContentHash = contentHash,
                     Placeholders = matchResult.Placeholders
                 });
             }
@@ -355,6 +428,152 @@ static async Task<int> Main(string[] args)
         return replacements;
     }
 
+    /// <summary>
+    /// SHA-256 (lowercase hex) of the UTF-8 text a replacement was computed from.
+    /// Clients compare it with the current text to detect files that changed before applying.
+    /// </summary>
+    internal static string ComputeContentHash(string text)
+    {
+        return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(text))).ToLowerInvariant();
+    }
+
+    /// <summary>
+    /// Converts a workspace match into its output shape.
+    /// </summary>
+    static SearchResult ToSearchResult(MatchResult match)
+    {
+        return CreateSearchResult(match.FilePath, match.Node, match.Location, match.Placeholders, match.PlaceholderSpans);
+    }
+
+    /// <summary>
+    /// Builds the output of a match, with the source spans of the match and its placeholders.
+    /// </summary>
+    static SearchResult CreateSearchResult(
+        string filePath,
+        SyntaxNode node,
+        Location location,
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> placeholderSpans)
+    {
+        var lineSpan = location.GetLineSpan();
+        return new SearchResult
+        {
+            FilePath = filePath,
+            Line = lineSpan.StartLinePosition.Line + 1,
+            Column = lineSpan.StartLinePosition.Character + 1,
+            StartPosition = location.SourceSpan.Start,
+            EndPosition = location.SourceSpan.End,
+            MatchedCode = node.ToString(),
+            Placeholders = placeholders,
+            PlaceholderSpans = placeholderSpans
+                .ToDictionary(entry => entry.Key, entry => new PlaceholderSpan { Start = entry.Value.Start, End = entry.Value.End })
+        };
+    }
+
+    /// <summary>
+    /// Reads a file, preferring its unsaved editor contents when the request has them.
+    /// </summary>
+    static string ReadSource(string file, IReadOnlyDictionary<string, string>? overlays)
+    {
+        if (overlays != null)
+        {
+            var fullPath = Path.GetFullPath(file);
+            foreach (var (path, text) in overlays)
+            {
+                if (FileScope.PathComparer.Equals(Path.GetFullPath(path), fullPath))
+                    return text;
+            }
+        }
+
+        if (!File.Exists(file))
+        {
+            throw new FileNotFoundException($"File not found: {file}");
+        }
+
+        return File.ReadAllText(file);
+    }
+
+    /// <summary>
+    /// Builds the workspace search options for a request.
+    /// </summary>
+    static WorkspaceSearchOptions CreateWorkspaceOptions(SearchRequest request)
+    {
+        return new WorkspaceSearchOptions
+        {
+            ProjectFilter = request.ProjectFilter,
+            FileFilter = request.FileFilter,
+            FolderFilter = request.FolderFilter,
+            IncludeGlobs = request.Include ?? new List<string>(),
+            ExcludeGlobs = request.Exclude ?? new List<string>(),
+            Files = request.Files,
+            StartLine = request.StartLine,
+            EndLine = request.EndLine,
+            Overlays = request.Overlays,
+            MatchOptions = CreateMatchOptions(request),
+            MaxDegreeOfParallelism = request.MaxParallelism > 0 ? request.MaxParallelism : Environment.ProcessorCount
+        };
+    }
+
+    static MatchOptions CreateMatchOptions(SearchRequest request)
+    {
+        return new MatchOptions
+        {
+            MatchCase = request.MatchCase,
+            WholeWord = request.WholeWord
+        };
+    }
+
+    /// <summary>
+    /// Writes previewed replacements to disk.
+    /// </summary>
+    static List<ReplacementApplicationResult> ApplyReplacements(List<ReplacementOutput> replacements)
+    {
+        var applier = new ReplacementApplier();
+        return applier.ApplyReplacements(
+            replacements
+                .Select(r => new Models.ReplacementResult
+                {
+                    ReplacementText = r.ReplacementCode,
+                    OriginalText = r.OriginalCode,
+                    FilePath = r.FilePath,
+                    StartPosition = r.StartPosition,
+                    EndPosition = r.EndPosition,
+                    BaseIndentation = 0
+                })
+                .ToList()
+        );
+    }
+
+    internal static object CreateSearchPayload(List<SearchResult> results)
+    {
+        return new
+        {
+            matchCount = results.Count,
+            matches = results
+        };
+    }
+
+    internal static object CreateReplacementPayload(List<ReplacementOutput> replacements)
+    {
+        return new
+        {
+            replacementCount = replacements.Count,
+            replacements = replacements
+        };
+    }
+
+    static object CreateApplicationPayload(List<ReplacementApplicationResult> results)
+    {
+        return new
+        {
+            applicationsCount = results.Count,
+            successCount = results.Count(r => r.Success),
+            errorCount = results.Count(r => !r.Success),
+            totalReplacementsApplied = results.Sum(r => r.ReplacementsApplied),
+            results = results
+        };
+    }
+
     static void OutputReplacementJson(List<ReplacementOutput> replacements)
     {
         var options = new JsonSerializerOptions
@@ -363,11 +582,7 @@ static void OutputReplacementJson(List<ReplacementOutput> replacements)
             PropertyNamingPolicy = JsonNamingPolicy.CamelCase
         };
 
-        var json = JsonSerializer.Serialize(new
-        {
-            replacementCount = replacements.Count,
-            replacements = replacements
-        }, options);
+        var json = JsonSerializer.Serialize(CreateReplacementPayload(replacements), options);
 
         Console.WriteLine(json);
     }
@@ -429,14 +644,7 @@ static void OutputApplicationJson(List<ReplacementApplicationResult> results)
             PropertyNamingPolicy = JsonNamingPolicy.CamelCase
         };
 
-        var json = JsonSerializer.Serialize(new
-        {
-            applicationsCount = results.Count,
-            successCount = results.Count(r => r.Success),
-            errorCount = results.Count(r => !r.Success),
-            totalReplacementsApplied = results.Sum(r => r.ReplacementsApplied),
-            results = results
-        }, options);
+        var json = JsonSerializer.Serialize(CreateApplicationPayload(results), options);
 
         Console.WriteLine(json);
     }
@@ -449,13 +657,44 @@ static void OutputJson(List<SearchResult> results)
             PropertyNamingPolicy = JsonNamingPolicy.CamelCase
         };
 
+        var json = JsonSerializer.Serialize(CreateSearchPayload(results), options);
+
+        Console.WriteLine(json);
+    }
+
+    static readonly object NdjsonLock = new();
+
+    static readonly JsonSerializerOptions NdjsonOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+    };
+
+    /// <summary>
+    /// Writes a single match as one line of JSON. Called concurrently while the search runs.
+    /// </summary>
+    static void OutputNdjsonMatch(SearchResult result)
+    {
+        var json = JsonSerializer.Serialize(new { type = "match", match = result }, NdjsonOptions);
+
+        lock (NdjsonLock)
+        {
+            Console.WriteLine(json);
+        }
+    }
+
+    static void OutputNdjsonSummary(List<SearchResult> results)
+    {
         var json = JsonSerializer.Serialize(new
         {
+            type = "summary",
             matchCount = results.Count,
-            matches = results
-        }, options);
+            fileCount = results.Select(r => r.FilePath).Distinct().Count()
+        }, NdjsonOptions);
 
-        Console.WriteLine(json);
+        lock (NdjsonLock)
+        {
+            Console.WriteLine(json);
+        }
     }
 
     static void OutputText(List<SearchResult> results)
@@ -494,8 +733,18 @@ static void PrintHelp()
         Console.WriteLine("  --project-filter <pattern>    Filter projects (e.g., \"*.Tests.csproj\")");
         Console.WriteLine("  --file-filter <pattern>       Filter files (e.g., \"*Controller.cs\")");
         Console.WriteLine("  --folder-filter <name>        Filter by folder path (e.g., \"Controllers\")");
+        Console.WriteLine("  --include <glob>              Only search files matching the glob (repeatable, e.g., \"src/**/*.cs\")");
+        Console.WriteLine("  --exclude <glob>              Skip files matching the glob (repeatable, e.g., \"**/Generated/**\")");
+        Console.WriteLine("  --scope-file <path>           Only search this file, with full semantic context (repeatable)");
+        Console.WriteLine("  --start-line <n>              Only report matches starting on or after this line");
+        Console.WriteLine("  --end-line <n>                Only report matches starting on or before this line");
+        Console.WriteLine("  --overlays <file>             JSON object mapping file paths to unsaved contents to search instead");
+        Console.WriteLine("  --constraints <json>          JSON object of placeholder settings, e.g. {\"args\":{\"kind\":\"arguments\",\"maxCount\":1}}");
+        Console.WriteLine("  --ignore-case                 Match the pattern's names and literals regardless of case");
+        Console.WriteLine("  --whole-word                  Only match the pattern's names and literals as whole words");
         Console.WriteLine("  --max-parallelism <n>         Max parallel tasks (default: CPU count)");
-        Console.WriteLine("  --output <format>             Output format: json|text (default: json)");
+        Console.WriteLine("  --output <format>             Output format: json|ndjson|text (default: json)");
+        Console.WriteLine("  --daemon                      Serve JSON-RPC requests over stdin/stdout until shutdown");
         Console.WriteLine("  --help, -h                    Show this help message");
         Console.WriteLine();
         Console.WriteLine("Examples:");
@@ -507,6 +756,7 @@ static void PrintHelp()
         Console.WriteLine();
         Console.WriteLine("  # Search with filters");
         Console.WriteLine("  SharpCodeSearch --pattern \"$method$($args$)\" --folder-filter \"Controllers\"");
+        Console.WriteLine("  SharpCodeSearch --pattern \"$method$($args$)\" --include \"src/**\" --exclude \"**/*.g.cs\"");
         Console.WriteLine();
         Console.WriteLine("  # Search and replace");
         Console.WriteLine("  SharpCodeSearch --pattern \"$var$++\" --replace \"$var$ = $var$ + 1\" --file Program.cs");
@@ -516,13 +766,93 @@ static void PrintHelp()
     }
 }
 
+/// <summary>
+/// Parameters of a search or replace request, shared by the CLI and the daemon.
+/// </summary>
+class SearchRequest
+{
+    public string Pattern { get; init; } = string.Empty;
+    public string? Replace { get; init; }
+    public string? File { get; init; }
+    public string? Workspace { get; init; }
+    public string? ProjectFilter { get; init; }
+    public string? FileFilter { get; init; }
+    public string? FolderFilter { get; init; }
+    public List<string>? Include { get; init; }
+    public List<string>? Exclude { get; init; }
+    public List<string>? Files { get; init; }
+    public int? StartLine { get; init; }
+    public int? EndLine { get; init; }
+
+    /// <summary>
+    /// Unsaved editor contents by file path, searched instead of the files on disk.
+    /// </summary>
+    public Dictionary<string, string>? Overlays { get; init; }
+
+    /// <summary>
+    /// Kind and constraints of placeholders by name, applied on top of what the pattern text says.
+    /// </summary>
+    public Dictionary<string, PlaceholderSettings>? Constraints { get; init; }
+
+    /// <summary>
+    /// Compare the pattern's names and literals case-sensitively.
+    /// </summary>
+    public bool MatchCase { get; init; } = true;
+
+    /// <summary>
+    /// Only match the pattern's names and literals as whole words.
+    /// </summary>
+    public bool WholeWord { get; init; }
+
+    public int MaxParallelism { get; init; } = Environment.ProcessorCount;
+
+    /// <summary>
+    /// Daemon only: push each match as a notification while the search runs.
+    /// </summary>
+    public bool StreamResults { get; init; }
+}
+
+/// <summary>
+/// Match reporter that forwards each match to a callback.
+/// </summary>
+class DelegateMatchReporter : IMatchReporter
+{
+    private readonly Action<MatchResult> _callback;
+
+    public DelegateMatchReporter(Action<MatchResult> callback)
+    {
+        _callback = callback;
+    }
+
+    public void ReportMatch(MatchResult match)
+    {
+        _callback(match);
+    }
+}
+
 class SearchResult
 {
     public required string FilePath { get; init; }
     public int Line { get; init; }
     public int Column { get; init; }
+    public int StartPosition { get; init; }
+    public int EndPosition { get; init; }
     public required string MatchedCode { get; init; }
     public Dictionary<string, string> Placeholders { get; init; } = new();
+
+    /// <summary>
+    /// Where the text captured by each placeholder is in the file (placeholders that could not be located are absent).
+    /// </summary>
+    public Dictionary<string, PlaceholderSpan> PlaceholderSpans { get; init; } = new();
+}
+
+/// <summary>
+/// Character offsets of a placeholder's captured text (end exclusive).
+/// </summary>
+class PlaceholderSpan
+{
+    public int Start { get; init; }
+    public int End { get; init; }
 }
 
 class ReplacementOutput
@@ -534,5 +864,11 @@ class ReplacementOutput
     public int EndPosition { get; init; }
     public required string OriginalCode { get; init; }
     public required string ReplacementCode { get; init; }
+
+    /// <summary>
+    /// Hash of the file text the replacement was computed from (see Program.ComputeContentHash).
+    /// </summary>
+    public string? ContentHash { get; init; }
+
     public Dictionary<string, string> Placeholders { get; init; } = new();
 }
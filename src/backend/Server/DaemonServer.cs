@@ -0,0 +1,318 @@
+using System.Collections.Concurrent;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Nodes;
+
+using SharpCodeSearch.Caching;
+using SharpCodeSearch.Services;
+using SharpCodeSearch.Workspace;
+
+namespace SharpCodeSearch.Server;
+
+/// <summary>
+/// Long-lived backend process that serves JSON-RPC 2.0 requests over stdio.
+/// Each message is a single line of JSON. Compilations are cached across requests,
+/// so repeated searches reuse the already loaded workspace.
+/// </summary>
+internal class DaemonServer
+{
+    public const int ParseError = -32700;
+    public const int InvalidRequest = -32600;
+    public const int MethodNotFound = -32601;
+    public const int InvalidParams = -32602;
+    public const int InternalError = -32603;
+    public const int RequestCancelled = -32800;
+
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true
+    };
+
+    private readonly TextReader _input;
+    private readonly TextWriter _output;
+    private readonly object _outputLock = new();
+    private readonly CompilationManager _compilationManager = new();
+    private readonly ConcurrentDictionary<string, CancellationTokenSource> _cancellations = new();
+
+    public DaemonServer(Stream input, Stream output)
+    {
+        _input = new StreamReader(input, new UTF8Encoding(false));
+        _output = new StreamWriter(output, new UTF8Encoding(false)) { AutoFlush = true };
+    }
+
+    /// <summary>
+    /// Reads and dispatches requests until stdin is closed or a shutdown request is received.
+    /// Requests run concurrently; pending requests are awaited before returning.
+    /// A "$/cancelRequest" notification with the id of a running request cancels it.
+    /// </summary>
+    public async Task RunAsync()
+    {
+        var running = new List<Task>();
+
+        string? line;
+        while ((line = await _input.ReadLineAsync()) != null)
+        {
+            if (string.IsNullOrWhiteSpace(line))
+                continue;
+
+            JsonObject? message;
+            try
+            {
+                message = JsonNode.Parse(line) as JsonObject;
+            }
+            catch (JsonException ex)
+            {
+                WriteError(null, ParseError, $"Invalid JSON: {ex.Message}");
+                continue;
+            }
+
+            var id = message?["id"]?.DeepClone();
+            if (message?["method"] is not JsonValue methodValue || !methodValue.TryGetValue<string>(out var method))
+            {
+                WriteError(id, InvalidRequest, "Request must be an object with a method");
+                continue;
+            }
+
+            if (method == "shutdown")
+            {
+                await Task.WhenAll(running);
+                WriteResult(id, null);
+                return;
+            }
+
+            var parameters = message["params"];
+
+            if (method == "$/cancelRequest")
+            {
+                CancelRequest(parameters?["id"]);
+                continue;
+            }
+
+            // Register before starting the task so a cancel that arrives right away is not lost
+            var cancellation = new CancellationTokenSource();
+            if (id != null)
+                _cancellations[id.ToJsonString()] = cancellation;
+
+            running.RemoveAll(task => task.IsCompleted);
+            running.Add(Task.Run(() => HandleRequestAsync(id, method, parameters, cancellation)));
+        }
+
+        await Task.WhenAll(running);
+    }
+
+    /// <summary>
+    /// Executes a single request and writes its response.
+    /// </summary>
+    private async Task HandleRequestAsync(
+        JsonNode? id, string method, JsonNode? parameters, CancellationTokenSource cancellation)
+    {
+        try
+        {
+            var token = cancellation.Token;
+            object? result = method switch
+            {
+                "ping" => "pong",
+                "search" => await SearchAsync(id, ReadRequest(parameters), token),
+                "replace" => await ReplaceAsync(id, ReadRequest(parameters), token),
+                "validate" => Validate(ReadRequest(parameters)),
+                _ => throw new RpcException(MethodNotFound, $"Unknown method: {method}")
+            };
+
+            WriteResult(id, result);
+        }
+        catch (OperationCanceledException) when (cancellation.IsCancellationRequested)
+        {
+            WriteError(id, RequestCancelled, "Request cancelled");
+        }
+        catch (RpcException ex)
+        {
+            WriteError(id, ex.Code, ex.Message);
+        }
+        catch (PatternParseException ex)
+        {
+            WriteError(id, InvalidParams, ex.Message, new { position = ex.Position });
+        }
+        catch (Exception ex)
+        {
+            Console.Error.WriteLine($"Error handling '{method}': {ex}");
+            WriteError(id, InternalError, ex.Message);
+        }
+        finally
+        {
+            if (id != null)
+                _cancellations.TryRemove(id.ToJsonString(), out _);
+            cancellation.Dispose();
+        }
+    }
+
+    /// <summary>
+    /// Signals cancellation to a running request. Unknown or finished ids are ignored.
+    /// </summary>
+    private void CancelRequest(JsonNode? id)
+    {
+        if (id == null || !_cancellations.TryGetValue(id.ToJsonString(), out var cancellation))
+            return;
+
+        try
+        {
+            cancellation.Cancel();
+        }
+        catch (ObjectDisposedException)
+        {
+            // The request completed while the cancellation was in flight
+        }
+    }
+
+    private async Task<object> SearchAsync(JsonNode? id, SearchRequest request, CancellationToken cancellationToken)
+    {
+        // When streaming, matches are pushed as "match" notifications and the response only carries the summary
+        Action<SearchResult>? onResult = request.StreamResults
+            ? result => SendNotification("match", new { requestId = id?.DeepClone(), match = result })
+            : null;
+
+        var results = await Program.ExecuteSearchAsync(
+            request, _compilationManager, new NotificationProgressReporter(this, id), onResult, cancellationToken);
+
+        return request.StreamResults
+            ? new
+            {
+                matchCount = results.Count,
+                fileCount = results.Select(r => r.FilePath).Distinct().Count(),
+                streamed = true
+            }
+            : Program.CreateSearchPayload(results);
+    }
+
+    private async Task<object> ReplaceAsync(JsonNode? id, SearchRequest request, CancellationToken cancellationToken)
+    {
+        var replacements = await Program.ExecuteReplaceAsync(
+            request, _compilationManager, new NotificationProgressReporter(this, id), cancellationToken);
+
+        return Program.CreateReplacementPayload(replacements);
+    }
+
+    /// <summary>
+    /// Reports the problems of the pattern, its constraints and replacement pattern without searching.
+    /// </summary>
+    private static PatternDiagnostics Validate(SearchRequest request)
+    {
+        return new PatternParser().Diagnose(request.Pattern, request.Replace, request.Constraints);
+    }
+
+    /// <summary>
+    /// Deserializes and validates the parameters of a search, replace or validate request.
+    /// </summary>
+    private static SearchRequest ReadRequest(JsonNode? parameters)
+    {
+        if (parameters is not JsonObject)
+            throw new RpcException(InvalidParams, "Request parameters must be an object");
+
+        SearchRequest? request;
+        try
+        {
+            request = parameters.Deserialize<SearchRequest>(JsonOptions);
+        }
+        catch (JsonException ex)
+        {
+            throw new RpcException(InvalidParams, $"Invalid request parameters: {ex.Message}");
+        }
+
+        if (request == null || string.IsNullOrEmpty(request.Pattern))
+            throw new RpcException(InvalidParams, "A pattern is required");
+
+        return request;
+    }
+
+    private void WriteResult(JsonNode? id, object? result)
+    {
+        WriteMessage(new JsonObject
+        {
+            ["jsonrpc"] = "2.0",
+            ["id"] = id?.DeepClone(),
+            ["result"] = JsonSerializer.SerializeToNode(result, JsonOptions)
+        });
+    }
+
+    private void WriteError(JsonNode? id, int code, string message, object? data = null)
+    {
+        var error = new JsonObject
+        {
+            ["code"] = code,
+            ["message"] = message
+        };
+
+        if (data != null)
+            error["data"] = JsonSerializer.SerializeToNode(data, JsonOptions);
+
+        WriteMessage(new JsonObject
+        {
+            ["jsonrpc"] = "2.0",
+            ["id"] = id?.DeepClone(),
+            ["error"] = error
+        });
+    }
+
+    /// <summary>
+    /// Sends a notification (a message without an id) to the client.
+    /// </summary>
+    internal void SendNotification(string method, object parameters)
+    {
+        WriteMessage(new JsonObject
+        {
+            ["jsonrpc"] = "2.0",
+            ["method"] = method,
+            ["params"] = JsonSerializer.SerializeToNode(parameters, JsonOptions)
+        });
+    }
+
+    private void WriteMessage(JsonObject message)
+    {
+        var json = message.ToJsonString();
+
+        lock (_outputLock)
+        {
+            _output.WriteLine(json);
+        }
+    }
+
+    /// <summary>
+    /// Forwards workspace progress as "progress" notifications tagged with the request id.
+    /// </summary>
+    private class NotificationProgressReporter : IProgressReporter
+    {
+        private readonly DaemonServer _server;
+        private readonly JsonNode? _requestId;
+
+        public NotificationProgressReporter(DaemonServer server, JsonNode? requestId)
+        {
+            _server = server;
+            _requestId = requestId;
+        }
+
+        public void ReportProgress(ProgressInfo progress)
+        {
+            _server.SendNotification("progress", new
+            {
+                requestId = _requestId?.DeepClone(),
+                stage = progress.Stage,
+                message = progress.Message,
+                totalFiles = progress.TotalFiles,
+                processedFiles = progress.ProcessedFiles
+            });
+        }
+    }
+}
+
+/// <summary>
+/// Exception carrying a JSON-RPC error code.
+/// </summary>
+internal class RpcException : Exception
+{
+    public int Code { get; }
+
+    public RpcException(int code, string message) : base(message)
+    {
+        Code = code;
+    }
+}
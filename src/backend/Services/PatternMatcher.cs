@@ -1,6 +1,7 @@
 using Microsoft.CodeAnalysis;
 using Microsoft.CodeAnalysis.CSharp;
 using Microsoft.CodeAnalysis.CSharp.Syntax;
+using Microsoft.CodeAnalysis.Text;
 
 using SharpCodeSearch.Models;
 
@@ -12,10 +13,12 @@ namespace SharpCodeSearch.Services;
 public class PatternMatcher
 {
     private readonly SemanticModel? _semanticModel;
+    private readonly MatchOptions _options;
 
-    public PatternMatcher(SemanticModel? semanticModel = null)
+    public PatternMatcher(SemanticModel? semanticModel = null, MatchOptions? options = null)
     {
         _semanticModel = semanticModel;
+        _options = options ?? new MatchOptions();
     }
 
     /// <summary>
@@ -37,12 +40,14 @@ public List<PatternMatch> FindMatches(PatternAst pattern, SyntaxNode syntaxNode)
         foreach (var node in Roslyn.RoslynHelper.EnumerateNodes(syntaxNode))
         {
             var placeholders = new Dictionary<string, string>();
-            if (MatchNode(pattern.Nodes, 0, node, placeholders))
+            var spans = new Dictionary<string, TextSpan>();
+            if (MatchNode(pattern.Nodes, 0, node, placeholders, spans))
             {
                 matches.Add(new PatternMatch
                 {
                     Node = node,
                     Placeholders = placeholders,
+                    PlaceholderSpans = spans,
                     Location = node.GetLocation()
                 });
             }
@@ -58,12 +63,14 @@ public List<PatternMatch> FindMatches(PatternAst pattern, SyntaxNode syntaxNode)
     /// <param name="patternIndex">Current index in pattern nodes</param>
     /// <param name="syntaxNode">The syntax node to match against</param>
     /// <param name="placeholders">Dictionary to store matched placeholder values</param>
+    /// <param name="spans">Dictionary to store the source span each placeholder was bound to</param>
     /// <returns>True if match successful</returns>
     private bool MatchNode(
         List<PatternNode> patternNodes,
         int patternIndex,
         SyntaxNode syntaxNode,
-        Dictionary<string, string> placeholders)
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> spans)
     {
         // Base case: matched all pattern nodes
         if (patternIndex >= patternNodes.Count)
@@ -72,13 +79,19 @@ public List<PatternMatch> FindMatches(PatternAst pattern, SyntaxNode syntaxNode)
         // Try composite pattern matching for method call patterns like "MethodName($args$)"
         if (patternIndex == 0 && IsMethodCallPattern(patternNodes))
         {
-            return MatchMethodCallPattern(patternNodes, syntaxNode, placeholders);
+            return MatchMethodCallPattern(patternNodes, syntaxNode, placeholders, spans);
         }
 
         // Try composite pattern matching for type patterns like "$type$ varName" or "List<$type$>"
         if (patternIndex == 0 && IsTypePattern(patternNodes))
         {
-            return MatchTypePattern(patternNodes, syntaxNode, placeholders);
+            return MatchTypePattern(patternNodes, syntaxNode, placeholders, spans);
+        }
+
+        // Try composite pattern matching for member access patterns like "$expr$.Result"
+        if (patternIndex == 0 && IsMemberAccessPattern(patternNodes))
+        {
+            return MatchMemberAccessPattern(patternNodes, syntaxNode, placeholders, spans);
         }
 
         var patternNode = patternNodes[patternIndex];
@@ -108,10 +121,10 @@ public List<PatternMatch> FindMatches(PatternAst pattern, SyntaxNode syntaxNode)
             // 1. Patterns with mixed text/placeholders
             // 2. Text that can't be parsed as valid C# code
             var nodeText = syntaxNode.ToString();
-            if (nodeText.Contains(textNode.Text))
+            if (ContainsText(nodeText, textNode.Text))
             {
                 // Continue matching with next pattern node
-                return MatchNode(patternNodes, patternIndex + 1, syntaxNode, placeholders);
+                return MatchNode(patternNodes, patternIndex + 1, syntaxNode, placeholders, spans);
             }
             return false;
         }
@@ -122,13 +135,13 @@ public List<PatternMatch> FindMatches(PatternAst pattern, SyntaxNode syntaxNode)
             // For single-placeholder patterns, match directly
             if (patternNodes.Count == 1)
             {
-                return MatchPlaceholder(placeholder, patternNodes, patternIndex, syntaxNode, placeholders);
+                return MatchPlaceholder(placeholder, patternNodes, patternIndex, syntaxNode, placeholders, spans);
             }
             else
             {
                 // For multi-node patterns, we need structural matching
                 // This is a simplified version - full implementation would need more sophisticated matching
-                return MatchPlaceholder(placeholder, patternNodes, patternIndex, syntaxNode, placeholders);
+                return MatchPlaceholder(placeholder, patternNodes, patternIndex, syntaxNode, placeholders, spans);
             }
         }
 
@@ -165,12 +178,13 @@ private bool IsMethodCallPattern(List<PatternNode> patternNodes)
     private bool MatchMethodCallPattern(
         List<PatternNode> patternNodes,
         SyntaxNode syntaxNode,
-        Dictionary<string, string> placeholders)
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> spans)
     {
         // Handle constructor calls (new ClassName($args$))
         if (syntaxNode is ObjectCreationExpressionSyntax objectCreation)
         {
-            return MatchConstructorPattern(patternNodes, objectCreation, placeholders);
+            return MatchConstructorPattern(patternNodes, objectCreation, placeholders, spans);
         }
 
         // Must be an invocation expression for regular method calls
@@ -189,7 +203,7 @@ private bool IsMethodCallPattern(List<PatternNode> patternNodes)
         var fullMethodName = invocation.Expression.ToString();
 
         // Check if method name matches (try both full and partial names)
-        if (!methodName.Contains(methodNamePattern) && !fullMethodName.Contains(methodNamePattern))
+        if (!ContainsText(methodName, methodNamePattern) && !ContainsText(fullMethodName, methodNamePattern))
             return false;
 
         // Now match the argument placeholder against the argument list
@@ -216,6 +230,7 @@ private bool IsMethodCallPattern(List<PatternNode> patternNodes)
 
             // Store the placeholder value
             placeholders[argPlaceholder.Name] = argsValue;
+            spans[argPlaceholder.Name] = GetArgumentsSpan(invocation.ArgumentList);
         }
 
         return true;
@@ -227,7 +242,8 @@ private bool IsMethodCallPattern(List<PatternNode> patternNodes)
     private bool MatchConstructorPattern(
         List<PatternNode> patternNodes,
         ObjectCreationExpressionSyntax objectCreation,
-        Dictionary<string, string> placeholders)
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> spans)
     {
         // Extract the class name from the pattern
         var textNode = patternNodes.OfType<TextNode>().FirstOrDefault();
@@ -241,7 +257,7 @@ private bool IsMethodCallPattern(List<PatternNode> patternNodes)
         var typeName = objectCreation.Type.ToString();
 
         // Check if type name matches
-        if (!typeName.Contains(pattern))
+        if (!ContainsText(typeName, pattern))
             return false;
 
         // Match the argument placeholder
@@ -267,11 +283,55 @@ private bool IsMethodCallPattern(List<PatternNode> patternNodes)
             }
 
             placeholders[argPlaceholder.Name] = argsValue;
+            spans[argPlaceholder.Name] = GetArgumentsSpan(objectCreation.ArgumentList);
         }
 
         return true;
     }
 
+    /// <summary>
+    /// Checks if the pattern is a member accessed on a placeholder: "$expr$.Name"
+    /// </summary>
+    private bool IsMemberAccessPattern(List<PatternNode> patternNodes)
+    {
+        if (patternNodes.Count != 2 || patternNodes[0] is not PlaceholderNode || patternNodes[1] is not TextNode text)
+            return false;
+
+        var memberText = text.Text.Trim();
+        return memberText.StartsWith('.') && SyntaxFacts.IsValidIdentifier(memberText[1..].Trim());
+    }
+
+    /// <summary>
+    /// Matches a member access pattern like "$expr$.Result" against a member access expression.
+    /// The placeholder binds to the accessed expression, so its constraints (e.g. its type) apply to that expression.
+    /// </summary>
+    private bool MatchMemberAccessPattern(
+        List<PatternNode> patternNodes,
+        SyntaxNode syntaxNode,
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> spans)
+    {
+        if (syntaxNode is not MemberAccessExpressionSyntax memberAccess)
+            return false;
+
+        var placeholder = (PlaceholderNode)patternNodes[0];
+        var memberName = ((TextNode)patternNodes[1]).Text.Trim()[1..].Trim();
+        if (!TextEquals(memberAccess.Name.Identifier.Text, memberName))
+            return false;
+
+        var receiver = memberAccess.Expression;
+        if (!IsPlaceholderTypeCompatible(placeholder.Type, receiver))
+            return false;
+
+        var value = receiver.ToString();
+        if (!ValidateConstraints(placeholder.Constraints, value, receiver))
+            return false;
+
+        placeholders[placeholder.Name] = value;
+        spans[placeholder.Name] = receiver.Span;
+        return true;
+    }
+
     /// <summary>
     /// Extracts the method name from an invocation expression.
     /// Returns just the method name (e.g., "WriteLine" from "Console.WriteLine").
@@ -303,6 +363,18 @@ private string ExtractArgumentsValue(ArgumentListSyntax argumentList)
         return string.Join(", ", argumentList.Arguments.Select(a => a.ToString()));
     }
 
+    /// <summary>
+    /// Gets the source span of the arguments inside an argument list's parentheses.
+    /// An empty list yields an empty span right after the opening parenthesis.
+    /// </summary>
+    private static TextSpan GetArgumentsSpan(ArgumentListSyntax argumentList)
+    {
+        if (argumentList.Arguments.Count == 0)
+            return new TextSpan(argumentList.OpenParenToken.Span.End, 0);
+
+        return TextSpan.FromBounds(argumentList.Arguments[0].SpanStart, argumentList.Arguments.Last().Span.End);
+    }
+
     /// <summary>
     /// Checks if the pattern contains a type placeholder with contextual text.
     /// Examples: "$type$ varName", "List<$type$>", "$type$[] array"
@@ -321,17 +393,18 @@ private bool IsTypePattern(List<PatternNode> patternNodes)
     private bool MatchTypePattern(
         List<PatternNode> patternNodes,
         SyntaxNode syntaxNode,
-        Dictionary<string, string> placeholders)
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> spans)
     {
         // Try to match various declaration contexts
         return syntaxNode switch
         {
-            VariableDeclarationSyntax varDecl => MatchTypeInVariableDeclaration(patternNodes, varDecl, placeholders),
-            FieldDeclarationSyntax fieldDecl => MatchTypeInFieldDeclaration(patternNodes, fieldDecl, placeholders),
-            ParameterSyntax parameter => MatchTypeInParameter(patternNodes, parameter, placeholders),
-            PropertyDeclarationSyntax propDecl => MatchTypeInPropertyDeclaration(patternNodes, propDecl, placeholders),
-            MethodDeclarationSyntax methodDecl => MatchTypeInMethodDeclaration(patternNodes, methodDecl, placeholders),
-            CastExpressionSyntax castExpr => MatchTypeInCastExpression(patternNodes, castExpr, placeholders),
+            VariableDeclarationSyntax varDecl => MatchTypeInVariableDeclaration(patternNodes, varDecl, placeholders, spans),
+            FieldDeclarationSyntax fieldDecl => MatchTypeInFieldDeclaration(patternNodes, fieldDecl, placeholders, spans),
+            ParameterSyntax parameter => MatchTypeInParameter(patternNodes, parameter, placeholders, spans),
+            PropertyDeclarationSyntax propDecl => MatchTypeInPropertyDeclaration(patternNodes, propDecl, placeholders, spans),
+            MethodDeclarationSyntax methodDecl => MatchTypeInMethodDeclaration(patternNodes, methodDecl, placeholders, spans),
+            CastExpressionSyntax castExpr => MatchTypeInCastExpression(patternNodes, castExpr, placeholders, spans),
             _ => false
         };
     }
@@ -342,7 +415,8 @@ private bool IsTypePattern(List<PatternNode> patternNodes)
     private bool MatchTypeInVariableDeclaration(
         List<PatternNode> patternNodes,
         VariableDeclarationSyntax varDecl,
-        Dictionary<string, string> placeholders)
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> spans)
     {
         // Pattern like "$type$ x" or "List<$type$> list"
         var typePlaceholder = patternNodes.OfType<PlaceholderNode>()
@@ -357,13 +431,15 @@ private bool IsTypePattern(List<PatternNode> patternNodes)
         {
             // Check if any variable name matches the pattern
             var varName = textNode.Text.Trim();
-            if (!varDecl.Variables.Any(v => v.Identifier.Text == varName))
+            if (!varDecl.Variables.Any(v => TextEquals(v.Identifier.Text, varName)))
                 return false;
         }
 
         // Extract and store the type
-        var typeValue = ExtractTypeValue(varDecl.Type);
+        var typeTarget = GetTypeTarget(varDecl.Type);
+        var typeValue = typeTarget.ToString();
         placeholders[typePlaceholder.Name] = typeValue;
+        spans[typePlaceholder.Name] = typeTarget.Span;
 
         // Validate constraints
         if (!ValidateConstraints(typePlaceholder.Constraints, typeValue, varDecl.Type))
@@ -378,10 +454,11 @@ private bool IsTypePattern(List<PatternNode> patternNodes)
     private bool MatchTypeInFieldDeclaration(
         List<PatternNode> patternNodes,
         FieldDeclarationSyntax fieldDecl,
-        Dictionary<string, string> placeholders)
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> spans)
     {
         var varDecl = fieldDecl.Declaration;
-        return MatchTypeInVariableDeclaration(patternNodes, varDecl, placeholders);
+        return MatchTypeInVariableDeclaration(patternNodes, varDecl, placeholders, spans);
     }
 
     /// <summary>
@@ -390,7 +467,8 @@ private bool IsTypePattern(List<PatternNode> patternNodes)
     private bool MatchTypeInParameter(
         List<PatternNode> patternNodes,
         ParameterSyntax parameter,
-        Dictionary<string, string> placeholders)
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> spans)
     {
         var typePlaceholder = patternNodes.OfType<PlaceholderNode>()
             .FirstOrDefault(p => p.Type == PlaceholderType.Type);
@@ -403,12 +481,14 @@ private bool IsTypePattern(List<PatternNode> patternNodes)
         if (textNode != null)
         {
             var paramName = textNode.Text.Trim();
-            if (parameter.Identifier.Text != paramName)
+            if (!TextEquals(parameter.Identifier.Text, paramName))
                 return false;
         }
 
-        var typeValue = ExtractTypeValue(parameter.Type);
+        var typeTarget = GetTypeTarget(parameter.Type);
+        var typeValue = typeTarget.ToString();
         placeholders[typePlaceholder.Name] = typeValue;
+        spans[typePlaceholder.Name] = typeTarget.Span;
 
         return ValidateConstraints(typePlaceholder.Constraints, typeValue, parameter.Type);
     }
@@ -419,7 +499,8 @@ private bool IsTypePattern(List<PatternNode> patternNodes)
     private bool MatchTypeInPropertyDeclaration(
         List<PatternNode> patternNodes,
         PropertyDeclarationSyntax propDecl,
-        Dictionary<string, string> placeholders)
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> spans)
     {
         var typePlaceholder = patternNodes.OfType<PlaceholderNode>()
             .FirstOrDefault(p => p.Type == PlaceholderType.Type);
@@ -433,12 +514,14 @@ private bool IsTypePattern(List<PatternNode> patternNodes)
         {
             var propName = textNode.Text.Replace("public", "").Replace("private", "")
                 .Replace("protected", "").Replace("internal", "").Trim();
-            if (!propDecl.Identifier.Text.Contains(propName) && !propName.Contains(propDecl.Identifier.Text))
+            if (!ContainsText(propDecl.Identifier.Text, propName) && !ContainsText(propName, propDecl.Identifier.Text))
                 return false;
         }
 
-        var typeValue = ExtractTypeValue(propDecl.Type);
+        var typeTarget = GetTypeTarget(propDecl.Type);
+        var typeValue = typeTarget.ToString();
         placeholders[typePlaceholder.Name] = typeValue;
+        spans[typePlaceholder.Name] = typeTarget.Span;
 
         return ValidateConstraints(typePlaceholder.Constraints, typeValue, propDecl.Type);
     }
@@ -449,7 +532,8 @@ private bool IsTypePattern(List<PatternNode> patternNodes)
     private bool MatchTypeInMethodDeclaration(
         List<PatternNode> patternNodes,
         MethodDeclarationSyntax methodDecl,
-        Dictionary<string, string> placeholders)
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> spans)
     {
         var typePlaceholder = patternNodes.OfType<PlaceholderNode>()
             .FirstOrDefault(p => p.Type == PlaceholderType.Type);
@@ -462,12 +546,14 @@ private bool IsTypePattern(List<PatternNode> patternNodes)
         if (textNode != null)
         {
             var methodName = textNode.Text.Replace("()", "").Trim();
-            if (!methodDecl.Identifier.Text.Contains(methodName))
+            if (!ContainsText(methodDecl.Identifier.Text, methodName))
                 return false;
         }
 
-        var typeValue = ExtractTypeValue(methodDecl.ReturnType);
+        var typeTarget = GetTypeTarget(methodDecl.ReturnType);
+        var typeValue = typeTarget.ToString();
         placeholders[typePlaceholder.Name] = typeValue;
+        spans[typePlaceholder.Name] = typeTarget.Span;
 
         return ValidateConstraints(typePlaceholder.Constraints, typeValue, methodDecl.ReturnType);
     }
@@ -478,7 +564,8 @@ private bool IsTypePattern(List<PatternNode> patternNodes)
     private bool MatchTypeInCastExpression(
         List<PatternNode> patternNodes,
         CastExpressionSyntax castExpr,
-        Dictionary<string, string> placeholders)
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> spans)
     {
         var typePlaceholder = patternNodes.OfType<PlaceholderNode>()
             .FirstOrDefault(p => p.Type == PlaceholderType.Type);
@@ -491,44 +578,46 @@ private bool IsTypePattern(List<PatternNode> patternNodes)
         if (textNode != null)
         {
             var exprText = castExpr.Expression.ToString();
-            if (!textNode.Text.Contains(exprText))
+            if (!ContainsText(textNode.Text, exprText))
                 return false;
         }
 
-        var typeValue = ExtractTypeValue(castExpr.Type);
+        var typeTarget = GetTypeTarget(castExpr.Type);
+        var typeValue = typeTarget.ToString();
         placeholders[typePlaceholder.Name] = typeValue;
+        spans[typePlaceholder.Name] = typeTarget.Span;
 
         return ValidateConstraints(typePlaceholder.Constraints, typeValue, castExpr.Type);
     }
 
     /// <summary>
-    /// Extracts the string representation of a type.
+    /// Gets the part of a type that a type placeholder binds to; its text is the placeholder value.
     /// Handles simple types, generics, arrays, nullables, etc.
     /// </summary>
-    private string ExtractTypeValue(TypeSyntax type)
+    private static SyntaxNodeOrToken GetTypeTarget(TypeSyntax type)
     {
         return type switch
         {
             // Simple type: int, string, MyClass
-            PredefinedTypeSyntax predefined => predefined.Keyword.Text,
+            PredefinedTypeSyntax predefined => predefined.Keyword,
 
             // Identifier type: MyClass, var
-            IdentifierNameSyntax identifier => identifier.Identifier.Text,
+            IdentifierNameSyntax identifier => identifier.Identifier,
 
             // Qualified name: System.Int32
-            QualifiedNameSyntax qualified => qualified.ToString(),
+            QualifiedNameSyntax qualified => qualified,
 
             // Generic type: List<int>, Dictionary<K,V>
-            GenericNameSyntax generic => generic.Identifier.Text,
+            GenericNameSyntax generic => generic.Identifier,
 
             // Array type: int[], string[,]
-            ArrayTypeSyntax array => ExtractTypeValue(array.ElementType),
+            ArrayTypeSyntax array => GetTypeTarget(array.ElementType),
 
             // Nullable type: int?, string?
-            NullableTypeSyntax nullable => ExtractTypeValue(nullable.ElementType),
+            NullableTypeSyntax nullable => GetTypeTarget(nullable.ElementType),
 
-            // Default: return full text
-            _ => type.ToString()
+            // Default: the full type
+            _ => type
         };
     }
 
@@ -583,9 +672,45 @@ private bool AreNodesStructurallyEquivalent(SyntaxNode pattern, SyntaxNode code)
         var patternText = pattern.ToString().Trim().Replace(" ", "").Replace("\r", "").Replace("\n", "");
         var codeText = code.ToString().Trim().Replace(" ", "").Replace("\r", "").Replace("\n", "");
 
-        return patternText == codeText;
+        return TextEquals(patternText, codeText);
+    }
+
+    /// <summary>
+    /// Checks whether pattern text occurs in code, honoring the match case and whole word options.
+    /// </summary>
+    private bool ContainsText(string code, string text)
+    {
+        var comparison = _options.MatchCase ? StringComparison.Ordinal : StringComparison.OrdinalIgnoreCase;
+        if (!_options.WholeWord)
+            return code.Contains(text, comparison);
+
+        for (var index = code.IndexOf(text, comparison); index >= 0; index = code.IndexOf(text, index + 1, comparison))
+        {
+            if (IsWordBoundary(code, index) && IsWordBoundary(code, index + text.Length))
+                return true;
+        }
+
+        return false;
     }
 
+    /// <summary>
+    /// Compares pattern text with code, honoring the match case option.
+    /// </summary>
+    private bool TextEquals(string code, string text)
+    {
+        return string.Equals(code, text, _options.MatchCase ? StringComparison.Ordinal : StringComparison.OrdinalIgnoreCase);
+    }
+
+    /// <summary>
+    /// A position is a word boundary unless it lies between two identifier characters.
+    /// </summary>
+    private static bool IsWordBoundary(string text, int index)
+    {
+        return index <= 0 || index >= text.Length || !IsWordCharacter(text[index - 1]) || !IsWordCharacter(text[index]);
+    }
+
+    private static bool IsWordCharacter(char c) => char.IsLetterOrDigit(c) || c == '_';
+
     /// <summary>
     /// Matches a placeholder against a syntax node.
     /// </summary>
@@ -594,14 +719,16 @@ private bool AreNodesStructurallyEquivalent(SyntaxNode pattern, SyntaxNode code)
         List<PatternNode> patternNodes,
         int patternIndex,
         SyntaxNode syntaxNode,
-        Dictionary<string, string> placeholders)
+        Dictionary<string, string> placeholders,
+        Dictionary<string, TextSpan> spans)
     {
         // First check if the node type is compatible with the placeholder type
         if (!IsPlaceholderTypeCompatible(placeholder.Type, syntaxNode))
             return false;
 
         // Extract the value to store
-        var value = ExtractPlaceholderValue(syntaxNode, placeholder.Type);
+        var target = GetPlaceholderTarget(syntaxNode);
+        var value = target.ToString();
 
         // Validate constraints BEFORE storing
         if (!ValidateConstraints(placeholder.Constraints, value, syntaxNode))
@@ -617,10 +744,11 @@ private bool AreNodesStructurallyEquivalent(SyntaxNode pattern, SyntaxNode code)
         else
         {
             placeholders[placeholder.Name] = value;
+            spans[placeholder.Name] = target.Span;
         }
 
         // Continue with next pattern node
-        return MatchNode(patternNodes, patternIndex + 1, syntaxNode, placeholders);
+        return MatchNode(patternNodes, patternIndex + 1, syntaxNode, placeholders, spans);
     }
 
     /// <summary>
@@ -681,36 +809,36 @@ private bool IsValidStatementNode(SyntaxNode node)
     }
 
     /// <summary>
-    /// Extracts the value to store for a matched placeholder.
+    /// Gets the node or token a matched placeholder binds to; its text is the placeholder value.
     /// </summary>
-    private string ExtractPlaceholderValue(SyntaxNode node, PlaceholderType type)
+    private static SyntaxNodeOrToken GetPlaceholderTarget(SyntaxNode node)
     {
-        // For identifiers, extract the actual identifier text
+        // For identifiers, bind the actual identifier
         if (node is IdentifierNameSyntax identifier)
         {
-            return identifier.Identifier.Text;
+            return identifier.Identifier;
         }
 
-        // For variable declarators, extract the variable name
+        // For variable declarators, bind the variable name
         if (node is VariableDeclaratorSyntax declarator)
         {
-            return declarator.Identifier.Text;
+            return declarator.Identifier;
         }
 
-        // For parameters, extract the parameter name
+        // For parameters, bind the parameter name
         if (node is ParameterSyntax parameter)
         {
-            return parameter.Identifier.Text;
+            return parameter.Identifier;
         }
 
-        // For member access, extract the member name
+        // For member access, bind the member name
         if (node is MemberAccessExpressionSyntax member)
         {
-            return member.Name.Identifier.Text;
+            return member.Name.Identifier;
         }
 
-        // For other types, return the full text
-        return node.ToString();
+        // For other types, bind the whole node
+        return node;
     }
 
     /// <summary>
@@ -770,6 +898,11 @@ public class PatternMatch
     /// </summary>
     public Dictionary<string, string> Placeholders { get; init; } = new();
 
+    /// <summary>
+    /// Source span each placeholder was bound to.
+    /// </summary>
+    public Dictionary<string, TextSpan> PlaceholderSpans { get; init; } = new();
+
     /// <summary>
     /// Location of the match in source code.
     /// </summary>
@@ -17,7 +17,11 @@ public Models.PatternAst Parse(string pattern)
         if (pattern == null)
             throw new ArgumentNullException(nameof(pattern));
 
-        var tokens = Tokenize(pattern);
+        return CreateAst(pattern, Tokenize(pattern));
+    }
+
+    private Models.PatternAst CreateAst(string pattern, List<Token> tokens)
+    {
         var nodes = new List<Models.PatternNode>();
 
         foreach (var token in tokens)
@@ -174,6 +178,96 @@ public PatternValidationResult ValidatePattern(string pattern)
         };
     }
 
+    /// <summary>
+    /// Checks a search pattern, its placeholder settings and an optional replacement pattern, reporting every
+    /// problem found with its position rather than stopping at the first one. Used for live feedback while typing.
+    /// </summary>
+    /// <param name="pattern">The search pattern</param>
+    /// <param name="replacePattern">The replacement pattern, if any</param>
+    /// <param name="settings">Placeholder settings by name, as passed to <see cref="ApplyPlaceholderSettings"/></param>
+    /// <returns>The problems of both patterns and the placeholders of the search pattern</returns>
+    public PatternDiagnostics Diagnose(
+        string pattern, string? replacePattern = null, IReadOnlyDictionary<string, Models.PlaceholderSettings>? settings = null)
+    {
+        if (pattern == null)
+            throw new ArgumentNullException(nameof(pattern));
+
+        var diagnostics = new PatternDiagnostics();
+        var ast = CreateAst(pattern, TokenizeForDiagnostics(pattern, diagnostics.PatternErrors));
+        var placeholders = ast.Nodes.OfType<Models.PlaceholderNode>().ToList();
+
+        foreach (var placeholder in placeholders.Where(p => string.IsNullOrWhiteSpace(p.Name)))
+            diagnostics.PatternErrors.Add(new PatternDiagnostic($"Empty placeholder at position {placeholder.Position}", placeholder.Position, placeholder.Length));
+
+        // Check each placeholder's settings on its own, so one bad setting does not hide the others
+        var settingsValid = true;
+        foreach (var placeholder in placeholders.GroupBy(p => p.Name).Select(group => group.First()))
+        {
+            if (settings == null || !settings.TryGetValue(placeholder.Name, out var placeholderSettings))
+                continue;
+
+            try
+            {
+                ParsePlaceholderKind(placeholderSettings.Kind, placeholder);
+                CreateConstraints(placeholderSettings, placeholder);
+            }
+            catch (PatternParseException ex)
+            {
+                diagnostics.PatternErrors.Add(new PatternDiagnostic(ex.Message, ex.Position, placeholder.Length));
+                settingsValid = false;
+            }
+        }
+
+        if (settingsValid)
+            ast = ApplyPlaceholderSettings(ast, settings);
+
+        foreach (var group in ast.Nodes.OfType<Models.PlaceholderNode>().Where(p => !string.IsNullOrWhiteSpace(p.Name)).GroupBy(p => p.Name))
+        {
+            diagnostics.Placeholders.Add(new PlaceholderInfo
+            {
+                Name = group.Key,
+                Kind = group.First().Type.ToString().ToLowerInvariant(),
+                Count = group.Count()
+            });
+        }
+
+        if (!string.IsNullOrEmpty(replacePattern))
+        {
+            var names = diagnostics.Placeholders.Select(p => p.Name).ToHashSet();
+            foreach (var token in TokenizeForDiagnostics(replacePattern, diagnostics.ReplaceErrors).Where(t => t.Type == TokenType.Placeholder))
+            {
+                var name = token.Value.Trim();
+                if (string.IsNullOrWhiteSpace(name))
+                {
+                    diagnostics.ReplaceErrors.Add(new PatternDiagnostic($"Empty placeholder at position {token.Position}", token.Position, token.Length));
+                }
+                else if (!names.Contains(name))
+                {
+                    diagnostics.ReplaceErrors.Add(new PatternDiagnostic(
+                        $"Placeholder '${name}$' does not exist in the search pattern", token.Position, token.Length));
+                }
+            }
+        }
+
+        return diagnostics;
+    }
+
+    /// <summary>
+    /// Tokenizes a pattern, recording an unclosed placeholder as an error and tokenizing the text before it.
+    /// </summary>
+    private List<Token> TokenizeForDiagnostics(string pattern, List<PatternDiagnostic> errors)
+    {
+        try
+        {
+            return Tokenize(pattern);
+        }
+        catch (PatternParseException ex)
+        {
+            errors.Add(new PatternDiagnostic(ex.Message, ex.Position, 1));
+            return Tokenize(pattern.Substring(0, ex.Position));
+        }
+    }
+
     /// <summary>
     /// Parses a placeholder token into a PlaceholderNode.
     /// </summary>
@@ -195,6 +289,77 @@ private Models.PlaceholderNode ParsePlaceholder(Token token)
         };
     }
 
+    /// <summary>
+    /// Applies kinds and constraints given separately from the pattern text to its placeholders.
+    /// Settings for names that do not occur in the pattern are ignored.
+    /// </summary>
+    /// <param name="ast">The parsed pattern</param>
+    /// <param name="settings">Settings by placeholder name</param>
+    /// <returns>A pattern AST whose placeholders carry the settings</returns>
+    /// <exception cref="PatternParseException">A kind, regular expression or count is invalid</exception>
+    public Models.PatternAst ApplyPlaceholderSettings(Models.PatternAst ast, IReadOnlyDictionary<string, Models.PlaceholderSettings>? settings)
+    {
+        if (ast == null)
+            throw new ArgumentNullException(nameof(ast));
+        if (settings == null || settings.Count == 0)
+            return ast;
+
+        var nodes = ast.Nodes.Select(node =>
+        {
+            if (node is not Models.PlaceholderNode placeholder || !settings.TryGetValue(placeholder.Name, out var placeholderSettings))
+                return node;
+
+            return new Models.PlaceholderNode
+            {
+                Name = placeholder.Name,
+                Type = ParsePlaceholderKind(placeholderSettings.Kind, placeholder),
+                Constraints = CreateConstraints(placeholderSettings, placeholder),
+                Position = placeholder.Position,
+                Length = placeholder.Length
+            };
+        });
+
+        return new Models.PatternAst
+        {
+            Nodes = nodes.ToList(),
+            OriginalPattern = ast.OriginalPattern
+        };
+    }
+
+    private static Models.PlaceholderType ParsePlaceholderKind(string? kind, Models.PlaceholderNode placeholder)
+    {
+        if (string.IsNullOrWhiteSpace(kind))
+            return placeholder.Type;
+
+        if (Enum.TryParse<Models.PlaceholderType>(kind, ignoreCase: true, out var type) && Enum.IsDefined(type))
+            return type;
+
+        throw new PatternParseException($"Unknown kind '{kind}' for placeholder ${placeholder.Name}$", placeholder.Position);
+    }
+
+    private static List<Models.IConstraint> CreateConstraints(Models.PlaceholderSettings settings, Models.PlaceholderNode placeholder)
+    {
+        var constraints = new List<Models.IConstraint>(placeholder.Constraints);
+
+        try
+        {
+            if (!string.IsNullOrWhiteSpace(settings.Type))
+                constraints.Add(new Models.TypeConstraint(settings.Type));
+            if (!string.IsNullOrEmpty(settings.Regex))
+                constraints.Add(new Models.RegexConstraint(settings.Regex));
+            if (settings.MinCount.HasValue || settings.MaxCount.HasValue)
+                constraints.Add(new Models.CountConstraint(settings.MinCount, settings.MaxCount));
+            if (settings.Exact != null)
+                constraints.Add(new Models.ExactMatchConstraint(settings.Exact));
+        }
+        catch (ArgumentException ex)
+        {
+            throw new PatternParseException($"Invalid constraint for placeholder ${placeholder.Name}$: {ex.Message}", placeholder.Position);
+        }
+
+        return constraints;
+    }
+
     /// <summary>
     /// Infers the placeholder type from its name.
     /// </summary>
@@ -347,6 +512,44 @@ public class PatternValidationResult
     public List<string> Errors { get; init; } = new();
 }
 
+/// <summary>
+/// Problems of a search and replacement pattern, with the placeholders of the search pattern.
+/// </summary>
+public class PatternDiagnostics
+{
+    public bool IsValid => PatternErrors.Count == 0 && ReplaceErrors.Count == 0;
+    public List<PatternDiagnostic> PatternErrors { get; init; } = new();
+    public List<PatternDiagnostic> ReplaceErrors { get; init; } = new();
+    public List<PlaceholderInfo> Placeholders { get; init; } = new();
+}
+
+/// <summary>
+/// A problem at a range of a pattern.
+/// </summary>
+public class PatternDiagnostic
+{
+    public string Message { get; }
+    public int Position { get; }
+    public int Length { get; }
+
+    public PatternDiagnostic(string message, int position, int length)
+    {
+        Message = message;
+        Position = position;
+        Length = length;
+    }
+}
+
+/// <summary>
+/// A distinct placeholder of a pattern, with its kind (e.g. "expression") and number of occurrences.
+/// </summary>
+public class PlaceholderInfo
+{
+    public required string Name { get; init; }
+    public required string Kind { get; init; }
+    public int Count { get; init; }
+}
+
 /// <summary>
 /// Exception thrown when pattern parsing fails.
 /// </summary>
@@ -0,0 +1,110 @@
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace SharpCodeSearch.Workspace;
+
+/// <summary>
+/// Glob pattern matched against workspace-relative paths, using the same syntax as VS Code's
+/// include/exclude settings: '*', '**', '?' and '{a,b}' alternatives.
+/// A pattern without a '/' matches in any folder, and a pattern matching a folder also matches
+/// every file inside it (so "**/bin" covers "src/bin/Debug/App.cs").
+/// </summary>
+public class GlobPattern
+{
+    private readonly Regex _regex;
+
+    public string Pattern { get; }
+
+    public GlobPattern(string pattern)
+    {
+        if (string.IsNullOrWhiteSpace(pattern))
+            throw new ArgumentException("Glob pattern cannot be null or empty", nameof(pattern));
+
+        Pattern = pattern;
+        _regex = new Regex(ToRegex(pattern), RegexOptions.IgnoreCase | RegexOptions.CultureInvariant);
+    }
+
+    /// <summary>
+    /// Checks whether a path relative to the workspace root, or one of its parent folders, matches the pattern.
+    /// </summary>
+    public bool IsMatch(string relativePath)
+    {
+        var path = relativePath.Replace('\\', '/').TrimStart('/');
+
+        while (path.Length > 0)
+        {
+            if (_regex.IsMatch(path))
+                return true;
+
+            var separator = path.LastIndexOf('/');
+            path = separator > 0 ? path[..separator] : string.Empty;
+        }
+
+        return false;
+    }
+
+    /// <summary>
+    /// Converts a glob into an anchored regular expression.
+    /// </summary>
+    private static string ToRegex(string pattern)
+    {
+        var glob = pattern.Trim().Replace('\\', '/');
+        if (glob.StartsWith("./"))
+            glob = glob[2..];
+        glob = glob.TrimStart('/');
+
+        // Like VS Code search, "*.cs" means "**/*.cs"
+        if (!glob.Contains('/') && !glob.StartsWith("**"))
+            glob = "**/" + glob;
+
+        var regex = new StringBuilder("^");
+        var braceDepth = 0;
+
+        for (int i = 0; i < glob.Length; i++)
+        {
+            var c = glob[i];
+            switch (c)
+            {
+                case '*' when i + 1 < glob.Length && glob[i + 1] == '*':
+                    i++;
+                    if (i + 1 < glob.Length && glob[i + 1] == '/')
+                    {
+                        // "**/" matches zero or more folders
+                        i++;
+                        regex.Append("(?:.*/)?");
+                    }
+                    else
+                    {
+                        regex.Append(".*");
+                    }
+                    break;
+                case '*':
+                    regex.Append("[^/]*");
+                    break;
+                case '?':
+                    regex.Append("[^/]");
+                    break;
+                case '{':
+                    braceDepth++;
+                    regex.Append("(?:");
+                    break;
+                case '}' when braceDepth > 0:
+                    braceDepth--;
+                    regex.Append(')');
+                    break;
+                case ',' when braceDepth > 0:
+                    regex.Append('|');
+                    break;
+                default:
+                    regex.Append(Regex.Escape(c.ToString()));
+                    break;
+            }
+        }
+
+        // Close any unbalanced brace so the expression stays valid
+        regex.Append(')', braceDepth);
+        regex.Append('$');
+
+        return regex.ToString();
+    }
+}
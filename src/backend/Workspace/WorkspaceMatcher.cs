@@ -3,6 +3,7 @@
 
 using Microsoft.CodeAnalysis;
 using Microsoft.CodeAnalysis.CSharp;
+using Microsoft.CodeAnalysis.Text;
 
 using SharpCodeSearch.Caching;
 using SharpCodeSearch.Models;
@@ -17,13 +18,16 @@ public class WorkspaceMatcher
 {
     private readonly CompilationManager _compilationManager;
     private readonly IProgressReporter? _progressReporter;
+    private readonly IMatchReporter? _matchReporter;
 
     public WorkspaceMatcher(
         CompilationManager compilationManager,
-        IProgressReporter? progressReporter = null)
+        IProgressReporter? progressReporter = null,
+        IMatchReporter? matchReporter = null)
     {
         _compilationManager = compilationManager ?? throw new ArgumentNullException(nameof(compilationManager));
         _progressReporter = progressReporter;
+        _matchReporter = matchReporter;
     }
 
     /// <summary>
@@ -83,17 +87,20 @@ public class WorkspaceMatcher
 
         foreach (var projectPath in projects)
         {
+            cancellationToken.ThrowIfCancellationRequested();
+
             try
             {
                 var compilationResult = await _compilationManager.GetOrBuildCompilationAsync(projectPath);
 
                 if (compilationResult.Compilation != null)
                 {
-                    var semanticModels = compilationResult.Compilation.SyntaxTrees
-                        .Select(tree => compilationResult.Compilation.GetSemanticModel(tree))
+                    var compilation = ApplyOverlays(compilationResult.Compilation, options.Overlays);
+                    var semanticModels = compilation.SyntaxTrees
+                        .Select(tree => compilation.GetSemanticModel(tree))
                         .ToArray();
 
-                    compilations.Add((projectPath, compilationResult.Compilation, semanticModels));
+                    compilations.Add((projectPath, compilation, semanticModels));
                 }
                 else
                 {
@@ -128,6 +135,7 @@ public class WorkspaceMatcher
         }
 
         // Collect all files to process
+        var scope = new FileScope(workspacePath, options);
         var filesToProcess = new List<(string FilePath, SyntaxTree Tree, SemanticModel Model)>();
         foreach (var (projectPath, compilation, models) in compilations)
         {
@@ -135,7 +143,7 @@ public class WorkspaceMatcher
             for (int i = 0; i < trees.Length; i++)
             {
                 var tree = trees[i];
-                if (tree.FilePath != null && ShouldProcessFile(tree.FilePath, options))
+                if (tree.FilePath != null && ShouldProcessFile(tree.FilePath, options, scope))
                 {
                     filesToProcess.Add((tree.FilePath, tree, models[i]));
                 }
@@ -169,20 +177,27 @@ public class WorkspaceMatcher
                     var root = await tree.GetRootAsync(ct);
 
                     // Create a PatternMatcher with the semantic model for this file
-                    var patternMatcher = new PatternMatcher(model);
+                    var patternMatcher = new PatternMatcher(model, options.MatchOptions);
 
                     // Find matches in this file
                     var fileMatches = patternMatcher.FindMatches(pattern, root);
 
                     foreach (var match in fileMatches)
                     {
-                        results.Add(new MatchResult
+                        if (!IsInLineRange(match.Location, options))
+                            continue;
+
+                        var matchResult = new MatchResult
                         {
                             FilePath = filePath,
                             Node = match.Node,
                             Location = match.Location,
-                            Placeholders = match.Placeholders
-                        });
+                            Placeholders = match.Placeholders,
+                            PlaceholderSpans = match.PlaceholderSpans
+                        };
+
+                        results.Add(matchResult);
+                        _matchReporter?.ReportMatch(matchResult);
                     }
 
                     // Report progress
@@ -232,11 +247,39 @@ public class WorkspaceMatcher
         };
     }
 
+    /// <summary>
+    /// Replaces the syntax trees of files that have unsaved editor contents.
+    /// The cached compilation itself is left untouched, so the overlay only applies to this search.
+    /// </summary>
+    private static Compilation ApplyOverlays(Compilation compilation, IReadOnlyDictionary<string, string>? overlays)
+    {
+        if (overlays == null || overlays.Count == 0)
+            return compilation;
+
+        var contents = new Dictionary<string, string>(FileScope.PathComparer);
+        foreach (var (filePath, text) in overlays)
+            contents[Path.GetFullPath(filePath)] = text;
+
+        foreach (var tree in compilation.SyntaxTrees.ToArray())
+        {
+            if (string.IsNullOrEmpty(tree.FilePath) || !contents.TryGetValue(Path.GetFullPath(tree.FilePath), out var text))
+                continue;
+
+            var overlay = CSharpSyntaxTree.ParseText(text, (CSharpParseOptions)tree.Options, tree.FilePath);
+            compilation = compilation.ReplaceSyntaxTree(tree, overlay);
+        }
+
+        return compilation;
+    }
+
     /// <summary>
     /// Determines if a file should be processed based on the options.
     /// </summary>
-    private bool ShouldProcessFile(string filePath, WorkspaceSearchOptions options)
+    private bool ShouldProcessFile(string filePath, WorkspaceSearchOptions options, FileScope scope)
     {
+        if (!scope.Contains(filePath))
+            return false;
+
         // Apply file filter
         if (!string.IsNullOrEmpty(options.FileFilter))
         {
@@ -255,6 +298,17 @@ private bool ShouldProcessFile(string filePath, WorkspaceSearchOptions options)
         return true;
     }
 
+    /// <summary>
+    /// Checks whether a match starts within the optional line range of the options.
+    /// </summary>
+    private static bool IsInLineRange(Location location, WorkspaceSearchOptions options)
+    {
+        var line = location.GetLineSpan().StartLinePosition.Line + 1;
+
+        return (options.StartLine == null || line >= options.StartLine)
+            && (options.EndLine == null || line <= options.EndLine);
+    }
+
     /// <summary>
     /// Simple wildcard pattern matching.
     /// </summary>
@@ -276,7 +330,7 @@ private bool IsMatch(string text, string pattern)
 public class WorkspaceSearchOptions
 {
     /// <summary>
-    /// Filter for project files (e.g., "*.Tests.csproj"). Null = all projects.
+    /// Filter for project files (e.g., "*.Tests.csproj"), or the path of one project. Null = all projects.
     /// </summary>
     public string? ProjectFilter { get; init; }
 
@@ -290,12 +344,92 @@ public class WorkspaceSearchOptions
     /// </summary>
     public string? FolderFilter { get; init; }
 
+    /// <summary>
+    /// Glob patterns relative to the workspace root (e.g., "src/**/*.cs"). Empty = all files.
+    /// </summary>
+    public IReadOnlyList<string> IncludeGlobs { get; init; } = Array.Empty<string>();
+
+    /// <summary>
+    /// Glob patterns relative to the workspace root for files to skip (e.g., "**/Generated/**").
+    /// </summary>
+    public IReadOnlyList<string> ExcludeGlobs { get; init; } = Array.Empty<string>();
+
+    /// <summary>
+    /// Only search these files (e.g., the open editors). Null = all files.
+    /// </summary>
+    public IReadOnlyCollection<string>? Files { get; init; }
+
+    /// <summary>
+    /// First line (1-based) a match may start on, e.g. the start of an editor selection. Null = no limit.
+    /// </summary>
+    public int? StartLine { get; init; }
+
+    /// <summary>
+    /// Last line (1-based) a match may start on. Null = no limit.
+    /// </summary>
+    public int? EndLine { get; init; }
+
+    /// <summary>
+    /// Unsaved editor contents by file path, searched instead of the files on disk. Null = none.
+    /// </summary>
+    public IReadOnlyDictionary<string, string>? Overlays { get; init; }
+
+    /// <summary>
+    /// Case sensitivity and whole word matching of the pattern's text.
+    /// </summary>
+    public MatchOptions MatchOptions { get; init; } = new();
+
     /// <summary>
     /// Maximum degree of parallelism. Default is number of processors.
     /// </summary>
     public int MaxDegreeOfParallelism { get; init; } = Environment.ProcessorCount;
 }
 
+/// <summary>
+/// Include/exclude globs and explicit file list of a search, resolved against the workspace root.
+/// </summary>
+internal class FileScope
+{
+    internal static readonly StringComparer PathComparer =
+        OperatingSystem.IsWindows() ? StringComparer.OrdinalIgnoreCase : StringComparer.Ordinal;
+
+    private readonly string _workspacePath;
+    private readonly List<GlobPattern> _includes;
+    private readonly List<GlobPattern> _excludes;
+    private readonly HashSet<string>? _files;
+
+    public FileScope(string workspacePath, WorkspaceSearchOptions options)
+    {
+        _workspacePath = Path.GetFullPath(workspacePath);
+        _includes = CreatePatterns(options.IncludeGlobs);
+        _excludes = CreatePatterns(options.ExcludeGlobs);
+        _files = options.Files != null
+            ? new HashSet<string>(options.Files.Select(Path.GetFullPath), PathComparer)
+            : null;
+    }
+
+    public bool Contains(string filePath)
+    {
+        var fullPath = Path.GetFullPath(filePath);
+        if (_files != null && !_files.Contains(fullPath))
+            return false;
+
+        var relativePath = Path.GetRelativePath(_workspacePath, fullPath);
+        if (_includes.Count > 0 && !_includes.Any(glob => glob.IsMatch(relativePath)))
+            return false;
+
+        return !_excludes.Any(glob => glob.IsMatch(relativePath));
+    }
+
+    private static List<GlobPattern> CreatePatterns(IEnumerable<string> globs)
+    {
+        return globs
+            .Where(glob => !string.IsNullOrWhiteSpace(glob))
+            .Select(glob => new GlobPattern(glob))
+            .ToList();
+    }
+}
+
 /// <summary>
 /// Result of a workspace search.
 /// </summary>
@@ -316,6 +450,7 @@ public class MatchResult
     public required SyntaxNode Node { get; init; }
     public required Location Location { get; init; }
     public Dictionary<string, string> Placeholders { get; init; } = new();
+    public Dictionary<string, TextSpan> PlaceholderSpans { get; init; } = new();
 }
 
 /// <summary>
@@ -336,6 +471,15 @@ public interface IProgressReporter
     void ReportProgress(ProgressInfo progress);
 }
 
+/// <summary>
+/// Interface for receiving matches as soon as they are found, before the search completes.
+/// Called concurrently from the parallel file workers.
+/// </summary>
+public interface IMatchReporter
+{
+    void ReportMatch(MatchResult match);
+}
+
 /// <summary>
 /// Progress information during search.
 /// </summary>
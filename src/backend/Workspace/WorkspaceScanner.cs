@@ -23,10 +23,19 @@ public WorkspaceScanner(string workspacePath)
     /// <summary>
     /// Finds all .csproj files in the workspace.
     /// </summary>
-    /// <param name="projectFilter">Optional pattern to filter projects (e.g., "*.Tests.csproj")</param>
+    /// <param name="projectFilter">
+    /// Optional pattern to filter projects by file name (e.g., "*.Tests.csproj"), or the path of one project
+    /// (absolute or relative to the workspace), which only selects that project
+    /// </param>
     /// <returns>List of absolute paths to .csproj files</returns>
     public List<string> FindProjects(string? projectFilter = null)
     {
+        if (projectFilter != null && IsProjectPath(projectFilter))
+        {
+            var projectPath = Path.GetFullPath(projectFilter, _workspacePath);
+            return File.Exists(projectPath) ? new List<string> { projectPath } : new List<string>();
+        }
+
         var searchPattern = projectFilter ?? "*.csproj";
         var projects = Directory.EnumerateFiles(_workspacePath, searchPattern, SearchOption.AllDirectories)
             .Where(p => !IsInExcludedDirectory(p))
@@ -35,6 +44,17 @@ public List<string> FindProjects(string? projectFilter = null)
         return projects;
     }
 
+    /// <summary>
+    /// Whether a project filter names a project file by path rather than a file name pattern,
+    /// so projects with the same file name in different folders can be told apart.
+    /// </summary>
+    private static bool IsProjectPath(string projectFilter)
+    {
+        return Path.IsPathRooted(projectFilter)
+            || projectFilter.Contains(Path.DirectorySeparatorChar)
+            || projectFilter.Contains(Path.AltDirectorySeparatorChar);
+    }
+
     /// <summary>
     /// Finds all .cs files in the workspace.
     /// </summary>
@@ -0,0 +1,302 @@
+import * as vscode from 'vscode';
+import { ChildProcess, spawn } from 'child_process';
+
+/**
+ * Command line used to launch the backend (executable plus leading arguments)
+ */
+export interface BackendCommand {
+    command: string;
+    args: string[];
+}
+
+/**
+ * Notification pushed by the backend while a request is running
+ */
+export interface BackendNotification {
+    method: string;
+    params: any;
+}
+
+/**
+ * Error returned by the backend for a failed request
+ */
+export class BackendRequestError extends Error {
+    constructor(message: string, public readonly code: number, public readonly data?: any) {
+        super(message);
+        this.name = 'BackendRequestError';
+    }
+}
+
+/**
+ * Split buffered output into its complete, non-empty lines.
+ * The text after the last newline is returned as the rest, to be completed by the next chunk.
+ */
+export function splitLines(buffer: string): { lines: string[]; rest: string } {
+    const lines: string[] = [];
+    let rest = buffer;
+
+    let newlineIndex: number;
+    while ((newlineIndex = rest.indexOf('\n')) >= 0) {
+        const line = rest.slice(0, newlineIndex).trim();
+        rest = rest.slice(newlineIndex + 1);
+
+        if (line.length > 0) {
+            lines.push(line);
+        }
+    }
+
+    return { lines, rest };
+}
+
+/**
+ * Per-request hooks for notifications and cancellation
+ */
+export interface DaemonRequestOptions {
+    onNotification?: (notification: BackendNotification) => void;
+    token?: vscode.CancellationToken;
+}
+
+interface PendingRequest {
+    resolve: (result: any) => void;
+    reject: (error: Error) => void;
+    onNotification?: (notification: BackendNotification) => void;
+}
+
+/**
+ * Maximum number of crashes tolerated within CRASH_WINDOW_MS before giving up on the daemon
+ */
+const MAX_CRASHES = 3;
+const CRASH_WINDOW_MS = 60000;
+const RESTART_DELAY_MS = 500;
+
+/**
+ * Persistent backend process speaking JSON-RPC 2.0 over stdio (one message per line).
+ * Keeps compilations warm between requests and restarts the process when it crashes.
+ */
+export class BackendDaemon implements vscode.Disposable {
+    private process: ChildProcess | undefined;
+    private readonly pending = new Map<number, PendingRequest>();
+    private nextId = 1;
+    private buffer = '';
+    private crashTimes: number[] = [];
+    private failed = false;
+    // The backend could not be verified (e.g. it is not built), so starting it would only fail
+    private disabled = false;
+    private disposed = false;
+
+    private readonly _onNotification = new vscode.EventEmitter<BackendNotification>();
+    public readonly onNotification = this._onNotification.event;
+
+    constructor(private readonly backendCommand: BackendCommand) { }
+
+    /**
+     * Whether requests can be sent to the daemon (it is running or can be restarted)
+     */
+    get isAvailable(): boolean {
+        return !this.failed && !this.disabled && !this.disposed;
+    }
+
+    /**
+     * Never start the backend process, because the backend could not be verified
+     */
+    disable(): void {
+        this.disabled = true;
+    }
+
+    /**
+     * Start the backend process if it is not already running
+     */
+    start(): void {
+        if (this.process || !this.isAvailable) {
+            return;
+        }
+
+        const child = spawn(this.backendCommand.command, [...this.backendCommand.args, '--daemon'], {
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        this.process = child;
+        this.buffer = '';
+
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', (chunk: string) => this.handleData(chunk));
+
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', (chunk: string) => console.error('Backend stderr:', chunk));
+
+        // Writing to a process that just died raises EPIPE; the exit handler deals with it
+        child.stdin.on('error', error => console.warn('Backend stdin error:', error.message));
+
+        child.on('error', error => {
+            console.error('Backend daemon error:', error);
+            this.handleExit(child, error);
+        });
+        child.on('exit', (code, signal) => {
+            this.handleExit(child, new Error(`Backend process exited (code: ${code}, signal: ${signal})`));
+        });
+
+        console.log('Sharp Code Search: Backend daemon started');
+    }
+
+    /**
+     * Send a request and resolve with its result.
+     * Notifications tagged with this request's id are passed to onNotification while it runs.
+     * Cancelling the token sends "$/cancelRequest" and rejects with a vscode.CancellationError.
+     */
+    request<T = any>(method: string, params?: any, options: DaemonRequestOptions = {}): Promise<T> {
+        const { onNotification, token } = options;
+        if (token?.isCancellationRequested) {
+            return Promise.reject(new vscode.CancellationError());
+        }
+
+        if (!this.isAvailable) {
+            return Promise.reject(new Error('Backend daemon is not available'));
+        }
+
+        this.start();
+        const child = this.process;
+        if (!child || !child.stdin) {
+            return Promise.reject(new Error('Backend daemon could not be started'));
+        }
+
+        const id = this.nextId++;
+        const message = JSON.stringify({ jsonrpc: '2.0', id, method, params });
+
+        return new Promise<T>((resolve, reject) => {
+            const cancellation = token?.onCancellationRequested(() => {
+                if (this.pending.delete(id)) {
+                    cancellation?.dispose();
+                    this.notify('$/cancelRequest', { id });
+                    reject(new vscode.CancellationError());
+                }
+            });
+
+            this.pending.set(id, {
+                resolve: result => {
+                    cancellation?.dispose();
+                    resolve(result);
+                },
+                reject: error => {
+                    cancellation?.dispose();
+                    reject(error);
+                },
+                onNotification
+            });
+
+            child.stdin!.write(message + '\n', error => {
+                if (error && this.pending.delete(id)) {
+                    cancellation?.dispose();
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Send a notification (a message without an id, so no response is expected)
+     */
+    private notify(method: string, params?: any): void {
+        this.process?.stdin?.write(JSON.stringify({ jsonrpc: '2.0', method, params }) + '\n');
+    }
+
+    /**
+     * Split stdout into lines and dispatch each JSON-RPC message
+     */
+    private handleData(chunk: string): void {
+        const { lines, rest } = splitLines(this.buffer + chunk);
+        this.buffer = rest;
+
+        for (const line of lines) {
+            this.handleMessage(line);
+        }
+    }
+
+    private handleMessage(line: string): void {
+        let message: any;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            console.warn('Ignoring malformed backend message:', line);
+            return;
+        }
+
+        // Notifications carry a method but no id
+        if (message.method && message.id === undefined) {
+            const notification: BackendNotification = { method: message.method, params: message.params };
+            const owner = message.params ? this.pending.get(message.params.requestId) : undefined;
+            owner?.onNotification?.(notification);
+            this._onNotification.fire(notification);
+            return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) {
+            return;
+        }
+
+        this.pending.delete(message.id);
+        if (message.error) {
+            request.reject(new BackendRequestError(message.error.message, message.error.code, message.error.data));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * Fail pending requests and restart the process unless it keeps crashing
+     */
+    private handleExit(child: ChildProcess, error: Error): void {
+        if (this.process !== child) {
+            return;
+        }
+        this.process = undefined;
+
+        for (const request of this.pending.values()) {
+            request.reject(error);
+        }
+        this.pending.clear();
+
+        if (this.disposed) {
+            return;
+        }
+
+        const now = Date.now();
+        this.crashTimes = this.crashTimes.filter(time => now - time < CRASH_WINDOW_MS);
+        this.crashTimes.push(now);
+
+        if (this.crashTimes.length > MAX_CRASHES) {
+            this.failed = true;
+            console.error('Sharp Code Search: Backend daemon keeps crashing, falling back to one-shot processes');
+            return;
+        }
+
+        console.warn(`Sharp Code Search: ${error.message}, restarting`);
+        setTimeout(() => this.start(), RESTART_DELAY_MS);
+    }
+
+    /**
+     * Ask the backend to shut down and kill it if it does not exit in time
+     */
+    dispose(): void {
+        this.disposed = true;
+        this._onNotification.dispose();
+
+        const child = this.process;
+        this.process = undefined;
+
+        for (const request of this.pending.values()) {
+            request.reject(new Error('Backend daemon was shut down'));
+        }
+        this.pending.clear();
+
+        if (!child) {
+            return;
+        }
+
+        child.stdin?.end(JSON.stringify({ jsonrpc: '2.0', id: this.nextId++, method: 'shutdown' }) + '\n');
+        setTimeout(() => {
+            if (child.exitCode === null) {
+                child.kill();
+            }
+        }, 2000).unref();
+    }
+}
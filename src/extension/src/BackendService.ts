@@ -1,39 +1,343 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
-import { exec } from 'child_process';
+import * as os from 'os';
+import { promises as fs } from 'fs';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
+import { BackendCommand, BackendDaemon, BackendNotification, BackendRequestError } from './BackendDaemon';
+import { PlaceholderConstraints } from './PatternCatalog';
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+/**
+ * How often streamed matches are flushed to the caller, in milliseconds
+ */
+const STREAM_FLUSH_INTERVAL_MS = 100;
 
 export interface SearchOptions {
     matchCase?: boolean;
     wholeWord?: boolean;
     filePattern?: string;
+    /** Workspace folder (fsPath) to search; every folder is searched when omitted */
+    folder?: string;
+    /** Glob patterns relative to the workspace folder; only matching files are searched */
+    include?: string[];
+    /** Glob patterns relative to the workspace folder for files to skip */
+    exclude?: string[];
+    /** Also skip files matched by the files.exclude setting (default: true) */
+    useExcludeSettings?: boolean;
+    /** Path of the .csproj to search; every project is searched when omitted */
+    project?: string;
+    /** Only search files whose path contains this text (e.g. a folder name) */
+    folderFilter?: string;
+    /** Only search these files (fsPaths), e.g. the current file or the open editors */
+    files?: string[];
+    /** Only report matches starting within these lines (1-based, inclusive) */
+    startLine?: number;
+    endLine?: number;
+    maxParallelism?: number;
+    /** Kind and constraints of placeholders, by placeholder name */
+    constraints?: Record<string, PlaceholderConstraints>;
+}
+
+/**
+ * Character offsets in a file (end exclusive)
+ */
+export interface TextOffsets {
+    start: number;
+    end: number;
 }
 
 export interface SearchResult {
     file: string;
     line: number;
     column: number;
+    /** Character offsets of the match in the file */
+    startPosition?: number;
+    endPosition?: number;
     code: string;
     matchedText: string;
     placeholders?: Record<string, string>;
+    /** Where the text captured by each placeholder is in the file */
+    placeholderSpans?: Record<string, TextOffsets>;
+    /** Workspace folder (fsPath) the match was found in */
+    root?: string;
 }
 
 export interface ReplacementResult {
     filePath: string;
     line: number;
     column: number;
+    /** Character offsets of the matched code in the file */
+    startPosition?: number;
+    endPosition?: number;
     originalCode: string;
     replacementCode: string;
+    /** SHA-256 (hex) of the file text the replacement was computed from */
+    contentHash?: string;
     placeholders?: Record<string, string>;
+    root?: string;
 }
 
 export interface ApplicationResult {
     filePath: string;
     replacementsApplied: number;
     success: boolean;
+    /** The file changed after it was previewed, so it was not modified */
+    skipped?: boolean;
     error?: string;
+    root?: string;
+}
+
+/**
+ * A problem at a range of a pattern, in character offsets into the validated text
+ */
+export interface PatternProblem {
+    message: string;
+    position: number;
+    length: number;
+}
+
+/**
+ * Result of checking a search and replacement pattern with the backend's parser
+ */
+export interface PatternValidation {
+    isValid: boolean;
+    patternErrors: PatternProblem[];
+    replaceErrors: PatternProblem[];
+    /** Distinct placeholders of the search pattern, with their kind and number of occurrences */
+    placeholders: { name: string; kind: string; count: number }[];
+}
+
+export interface SearchProgress {
+    stage: string;
+    message: string;
+    totalFiles?: number;
+    processedFiles?: number;
+}
+
+/**
+ * Callbacks and cancellation for a single backend operation
+ */
+export interface RequestOptions {
+    token?: vscode.CancellationToken;
+    onProgress?: (progress: SearchProgress) => void;
+    /** Receives matches in chunks while a search runs */
+    onMatches?: (matches: SearchResult[]) => void;
+}
+
+/**
+ * Options of a single one-shot backend CLI invocation
+ */
+export interface BackendCliOptions extends Partial<BackendScope> {
+    replacePattern?: string;
+    outputFormat?: 'json' | 'ndjson';
+    workspace?: string;
+    filePattern?: string;
+    /** JSON file mapping file paths to the unsaved contents to search instead */
+    overlaysFile?: string;
+    constraints?: Record<string, PlaceholderConstraints>;
+    /** Names and literals of the pattern match regardless of case when false (default: true) */
+    matchCase?: boolean;
+    /** Names and literals of the pattern only match whole words */
+    wholeWord?: boolean;
+}
+
+/**
+ * Filters of a request within one workspace folder, in the form the backend expects
+ */
+export interface BackendScope {
+    /** Path of the one project to search */
+    projectFilter?: string;
+    folderFilter?: string;
+    include: string[];
+    exclude: string[];
+    files?: string[];
+    startLine?: number;
+    endLine?: number;
+    maxParallelism?: number;
+    /** Kind and constraints of placeholders, by placeholder name */
+    constraints?: Record<string, PlaceholderConstraints>;
+}
+
+/**
+ * Build the argument list of a one-shot backend invocation.
+ * Arguments are passed to the process as-is (no shell), so patterns reach the parser unchanged.
+ */
+export function buildBackendArgs(pattern: string, options: BackendCliOptions = {}): string[] {
+    const args = ['--pattern', pattern];
+
+    if (options.replacePattern !== undefined) {
+        args.push('--replace', options.replacePattern);
+    }
+
+    args.push('--output', options.outputFormat ?? 'json');
+
+    // Add workspace option for workspace-level search
+    if (options.workspace) {
+        args.push('--workspace', options.workspace);
+    }
+
+    if (options.filePattern) {
+        args.push('--file-filter', options.filePattern);
+    }
+
+    if (options.projectFilter) {
+        args.push('--project-filter', options.projectFilter);
+    }
+
+    if (options.folderFilter) {
+        args.push('--folder-filter', options.folderFilter);
+    }
+
+    for (const glob of options.include ?? []) {
+        args.push('--include', glob);
+    }
+
+    for (const glob of options.exclude ?? []) {
+        args.push('--exclude', glob);
+    }
+
+    for (const file of options.files ?? []) {
+        args.push('--scope-file', file);
+    }
+
+    if (options.startLine !== undefined) {
+        args.push('--start-line', String(options.startLine));
+    }
+
+    if (options.endLine !== undefined) {
+        args.push('--end-line', String(options.endLine));
+    }
+
+    if (options.maxParallelism) {
+        args.push('--max-parallelism', String(options.maxParallelism));
+    }
+
+    if (options.overlaysFile) {
+        args.push('--overlays', options.overlaysFile);
+    }
+
+    if (options.constraints && Object.keys(options.constraints).length > 0) {
+        args.push('--constraints', JSON.stringify(options.constraints));
+    }
+
+    if (options.matchCase === false) {
+        args.push('--ignore-case');
+    }
+
+    if (options.wholeWord) {
+        args.push('--whole-word');
+    }
+
+    return args;
+}
+
+/**
+ * Parse NDJSON output: one match per line followed by a summary line
+ */
+export function parseNdjsonResults(output: string): SearchResult[] {
+    const results: SearchResult[] = [];
+
+    for (const line of output.split(/\r?\n/)) {
+        if (line.trim().length === 0) {
+            continue;
+        }
+
+        try {
+            const record = JSON.parse(line);
+            if (record.type === 'match') {
+                results.push(normalizeResult(record.match));
+            }
+        } catch (error) {
+            console.warn('Skipping malformed NDJSON line:', line);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Read the backend's response to a "validate" request; the problems keep the backend's offsets into each pattern
+ */
+export function parsePatternValidation(data: any): PatternValidation {
+    return {
+        isValid: !!data?.isValid,
+        patternErrors: data?.patternErrors ?? [],
+        replaceErrors: data?.replaceErrors ?? [],
+        placeholders: data?.placeholders ?? []
+    };
+}
+
+/**
+ * Normalize a single result object
+ */
+function normalizeResult(result: any): SearchResult {
+    return {
+        file: result.file || result.File || result.filePath || '',
+        line: parseInt(result.line || result.Line || result.lineNumber || '1'),
+        column: parseInt(result.column || result.Column || result.columnNumber || '1'),
+        startPosition: result.startPosition ?? result.StartPosition,
+        endPosition: result.endPosition ?? result.EndPosition,
+        code: result.code || result.Code || result.matchedCode || result.snippet || '',
+        matchedText: result.matchedText || result.MatchedText || result.match || result.matchedCode || '',
+        placeholders: result.placeholders || result.Placeholders || {},
+        placeholderSpans: result.placeholderSpans || result.PlaceholderSpans || {}
+    };
+}
+
+/**
+ * Whether a path is the folder itself or inside it
+ */
+function isInside(folder: string, target: string): boolean {
+    const relative = path.relative(folder, target);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolve the folders (fsPaths) an operation runs in: the requested folder, or every open workspace folder,
+ * narrowed to the folders containing the selected project or scope files
+ */
+export function resolveRoots(folders: readonly string[], options: SearchOptions): string[] {
+    if (folders.length === 0) {
+        throw new Error('No workspace folder is open. Please open a C# project first.');
+    }
+
+    let roots = [...folders];
+    if (options.folder) {
+        if (!roots.includes(options.folder)) {
+            throw new Error(`Workspace folder is no longer open: ${options.folder}`);
+        }
+        roots = [options.folder];
+    }
+
+    const project = options.project;
+    if (project) {
+        roots = roots.filter(root => isInside(root, project));
+    }
+
+    const files = options.files;
+    if (files) {
+        roots = roots.filter(root => files.some(file => isInside(root, file)));
+    }
+
+    if (roots.length === 0) {
+        throw new Error('The selected scope is outside the searched workspace folders.');
+    }
+
+    return roots;
+}
+
+/**
+ * Run an operation in each root in turn and tag its results with the root
+ */
+export async function forEachRoot<T extends { root?: string }>(roots: string[], run: (root: string) => Promise<T[]>): Promise<T[]> {
+    const results: T[] = [];
+    for (const root of roots) {
+        const rootResults = await run(root);
+        results.push(...rootResults.map(result => ({ ...result, root })));
+    }
+    return results;
 }
 
 export interface BackendError {
@@ -41,9 +345,49 @@ export interface BackendError {
     details?: string;
 }
 
-export class BackendService {
+/**
+ * Create a user-friendly error from backend error.
+ * Cancellation is passed through as a vscode.CancellationError so callers can tell it apart from failures.
+ */
+export function createBackendError(error: any, token?: vscode.CancellationToken): BackendError | vscode.CancellationError {
+    if (error instanceof vscode.CancellationError || token?.isCancellationRequested) {
+        return error instanceof vscode.CancellationError ? error : new vscode.CancellationError();
+    } else if (error instanceof BackendRequestError) {
+        return {
+            message: error.message,
+            details: error.data ? JSON.stringify(error.data) : undefined
+        };
+    } else if (error.code === 'ENOENT') {
+        return {
+            message: 'Backend executable not found',
+            details: 'The SharpCodeSearch backend could not be located. Please ensure the extension is properly installed.'
+        };
+    } else if (error.killed || error.signal === 'SIGTERM') {
+        return {
+            message: 'Search timed out',
+            details: 'The search operation took too long and was cancelled. Try searching in a smaller scope.'
+        };
+    } else if (error.stderr) {
+        return {
+            message: 'Backend error',
+            details: error.stderr
+        };
+    } else {
+        return {
+            message: 'An unexpected error occurred',
+            details: error.message || String(error)
+        };
+    }
+}
+
+export class BackendService implements vscode.Disposable {
     private backendPath: string;
-    private workspacePath: string;
+    private workspaceFolders: readonly vscode.WorkspaceFolder[];
+    private readonly daemon: BackendDaemon;
+    private readonly workspaceListener: vscode.Disposable;
+
+    private readonly _onDidChangeWorkspaceFolders = new vscode.EventEmitter<readonly vscode.WorkspaceFolder[]>();
+    public readonly onDidChangeWorkspaceFolders = this._onDidChangeWorkspaceFolders.event;
 
     constructor(context: vscode.ExtensionContext) {
         // Determine backend executable path
@@ -52,13 +396,70 @@ export class BackendService {
         const extensionRoot = context.extensionPath;
         this.backendPath = this.findBackendExecutable(extensionRoot);
 
-        // Get workspace path
-        const workspaceFolders = vscode.workspace.workspaceFolders;
-        if (workspaceFolders && workspaceFolders.length > 0) {
-            this.workspacePath = workspaceFolders[0].uri.fsPath;
-        } else {
-            this.workspacePath = '';
+        // Track workspace folders as they are added and removed
+        this.workspaceFolders = vscode.workspace.workspaceFolders ?? [];
+        this.workspaceListener = vscode.workspace.onDidChangeWorkspaceFolders(() => {
+            this.workspaceFolders = vscode.workspace.workspaceFolders ?? [];
+            this._onDidChangeWorkspaceFolders.fire(this.workspaceFolders);
+        });
+
+        this.daemon = new BackendDaemon(this.getBackendCommand());
+    }
+
+    /**
+     * Start the persistent backend process so later requests reuse warm compilations
+     */
+    start(): void {
+        this.daemon.start();
+    }
+
+    /**
+     * Whether requests go to the persistent process, rather than to one-shot processes that load the workspace each time
+     */
+    get isDaemonAvailable(): boolean {
+        return this.daemon.isAvailable;
+    }
+
+    /**
+     * Stop the persistent backend process
+     */
+    dispose(): void {
+        this.workspaceListener.dispose();
+        this._onDidChangeWorkspaceFolders.dispose();
+        this.daemon.dispose();
+    }
+
+    /**
+     * Workspace folders that searches run in
+     */
+    getWorkspaceFolders(): readonly vscode.WorkspaceFolder[] {
+        return this.workspaceFolders;
+    }
+
+    /**
+     * Resolve the filters of a request within one workspace folder
+     */
+    private createScope(root: string, options: SearchOptions): BackendScope {
+        const exclude = [...(options.exclude ?? [])];
+
+        if (options.useExcludeSettings !== false) {
+            // files.exclude maps globs to true/false (or a "when" clause, which we cannot evaluate here)
+            const filesExclude = vscode.workspace
+                .getConfiguration('files', vscode.Uri.file(root))
+                .get<Record<string, unknown>>('exclude', {});
+            exclude.push(...Object.keys(filesExclude).filter(glob => filesExclude[glob] === true));
         }
+
+        return {
+            projectFilter: options.project,
+            folderFilter: options.folderFilter,
+            include: options.include ?? [],
+            exclude,
+            files: options.files?.filter(file => isInside(root, file)),
+            startLine: options.startLine,
+            endLine: options.endLine,
+            maxParallelism: options.maxParallelism
+        };
     }
 
     /**
@@ -83,136 +484,267 @@ export class BackendService {
     }
 
     /**
-     * Execute a search with the given pattern
+     * Get the command line that launches the backend
      */
-    async search(pattern: string, options: SearchOptions = {}): Promise<SearchResult[]> {
-        if (!this.workspacePath) {
-            throw new Error('No workspace folder is open. Please open a C# project first.');
+    private getBackendCommand(): BackendCommand {
+        if (process.platform === 'win32' && this.backendPath.endsWith('.exe')) {
+            return { command: this.backendPath, args: [] };
         }
 
-        try {
-            const output = await this.executeBackend(pattern, options);
-            return this.parseSearchResults(output);
-        } catch (error) {
-            throw this.createBackendError(error);
+        // Use dotnet to run the .dll
+        return { command: 'dotnet', args: [this.backendPath.replace('.exe', '.dll')] };
+    }
+
+    /**
+     * Build the parameters of a daemon request
+     */
+    private createRequestParams(root: string, pattern: string, options: SearchOptions, replacePattern?: string): any {
+        return {
+            pattern,
+            replace: replacePattern,
+            workspace: root,
+            fileFilter: options.filePattern,
+            overlays: this.collectOverlays(root),
+            constraints: options.constraints,
+            matchCase: options.matchCase,
+            wholeWord: options.wholeWord,
+            ...this.createScope(root, options)
+        };
+    }
+
+    /**
+     * Text of the modified (unsaved) C# documents in a workspace folder, by file path.
+     * The backend searches these instead of the files on disk, so results match what the editors show.
+     */
+    private collectOverlays(root: string): Record<string, string> | undefined {
+        const overlays: Record<string, string> = {};
+        for (const document of vscode.workspace.textDocuments) {
+            if (document.isDirty
+                && document.uri.scheme === 'file'
+                && document.languageId === 'csharp'
+                && isInside(root, document.uri.fsPath)) {
+                overlays[document.uri.fsPath] = document.getText();
+            }
         }
+
+        return Object.keys(overlays).length > 0 ? overlays : undefined;
     }
 
     /**
-     * Execute search and replace (preview mode - no files are modified)
+     * Write the overlays of a one-shot backend run to a temporary file, removed once the run has finished
      */
-    async searchAndReplace(pattern: string, replacePattern: string, options: SearchOptions = {}): Promise<ReplacementResult[]> {
-        if (!this.workspacePath) {
-            throw new Error('No workspace folder is open. Please open a C# project first.');
+    private async withOverlaysFile<T>(root: string, run: (overlaysFile?: string) => Promise<T>): Promise<T> {
+        const overlays = this.collectOverlays(root);
+        if (!overlays) {
+            return run();
         }
 
+        const overlaysFile = path.join(os.tmpdir(), `sharpcodesearch-overlays-${process.pid}-${Date.now()}.json`);
+        await fs.writeFile(overlaysFile, JSON.stringify(overlays), 'utf8');
         try {
-            const output = await this.executeSearchAndReplaceBackend(pattern, replacePattern, options, false);
-            return this.parseReplacementResults(output);
-        } catch (error) {
-            throw this.createBackendError(error);
+            return await run(overlaysFile);
+        } finally {
+            await fs.unlink(overlaysFile).catch(() => undefined);
         }
     }
 
     /**
-     * Apply replacements to files (actually modifies files)
+     * Execute a search with the given pattern in options.folder, or in every workspace folder.
+     * When request.onMatches is given, matches are also delivered in chunks while the search runs.
+     * Rejects with a vscode.CancellationError when request.token is cancelled.
      */
-    async applyReplacements(pattern: string, replacePattern: string, options: SearchOptions = {}): Promise<ApplicationResult[]> {
-        if (!this.workspacePath) {
-            throw new Error('No workspace folder is open. Please open a C# project first.');
-        }
+    async search(pattern: string, options: SearchOptions = {}, request: RequestOptions = {}): Promise<SearchResult[]> {
+        const roots = resolveRoots(this.workspaceFolders.map(folder => folder.uri.fsPath), options);
+
+        return forEachRoot(roots, root => {
+            const onMatches = request.onMatches;
+            return this.searchRoot(root, pattern, options, {
+                ...request,
+                onMatches: onMatches && (matches => onMatches(matches.map(match => ({ ...match, root }))))
+            });
+        });
+    }
 
+    /**
+     * Execute a search in a single workspace folder
+     */
+    private async searchRoot(root: string, pattern: string, options: SearchOptions, request: RequestOptions): Promise<SearchResult[]> {
         try {
-            const output = await this.executeSearchAndReplaceBackend(pattern, replacePattern, options, true);
-            return this.parseApplicationResults(output);
+            if (this.daemon.isAvailable) {
+                if (request.onMatches) {
+                    return await this.searchStreaming(root, pattern, options, request.onMatches, request);
+                }
+
+                const data = await this.daemon.request('search', this.createRequestParams(root, pattern, options), {
+                    onNotification: notification => this.reportProgress(notification, request),
+                    token: request.token
+                });
+                return this.extractSearchResults(data);
+            }
+
+            if (request.onMatches) {
+                const output = await this.executeBackend(root, pattern, options, 'ndjson', request.token);
+                const results = parseNdjsonResults(output);
+                request.onMatches(results);
+                return results;
+            }
+
+            const output = await this.executeBackend(root, pattern, options, 'json', request.token);
+            return this.parseSearchResults(output);
         } catch (error) {
-            throw this.createBackendError(error);
+            throw createBackendError(error, request.token);
         }
     }
 
     /**
-     * Execute the backend CLI with the given pattern
+     * Run a daemon search that pushes each match as a notification, batching them for the caller
      */
-    private async executeBackend(pattern: string, options: SearchOptions): Promise<string> {
-        const args = [
-            '--pattern', this.quoteArgument(pattern),
-            '--output', 'json'
-        ];
-
-        // Add workspace option for workspace-level search
-        if (this.workspacePath) {
-            args.push('--workspace', this.quoteArgument(this.workspacePath));
-        }
+    private async searchStreaming(root: string, pattern: string, options: SearchOptions, onMatches: (matches: SearchResult[]) => void, request: RequestOptions): Promise<SearchResult[]> {
+        const results: SearchResult[] = [];
+        let chunk: SearchResult[] = [];
+        let flushTimer: NodeJS.Timeout | undefined;
+
+        const flush = () => {
+            if (flushTimer) {
+                clearTimeout(flushTimer);
+                flushTimer = undefined;
+            }
+            if (chunk.length > 0) {
+                onMatches(chunk);
+                chunk = [];
+            }
+        };
 
-        // Add additional options
-        if (options.filePattern) {
-            args.push('--file-filter', this.quoteArgument(options.filePattern));
-        }
+        const params = { ...this.createRequestParams(root, pattern, options), streamResults: true };
 
-        // Build command
-        let command: string;
-        if (process.platform === 'win32' && this.backendPath.endsWith('.exe')) {
-            command = `"${this.backendPath}" ${args.join(' ')}`;
-        } else {
-            // Use dotnet to run the .dll
-            const dllPath = this.backendPath.replace('.exe', '.dll');
-            command = `dotnet "${dllPath}" ${args.join(' ')}`;
+        try {
+            await this.daemon.request('search', params, {
+                onNotification: notification => {
+                    if (notification.method !== 'match') {
+                        this.reportProgress(notification, request);
+                        return;
+                    }
+
+                    const result = normalizeResult(notification.params.match);
+                    results.push(result);
+                    chunk.push(result);
+
+                    if (!flushTimer) {
+                        flushTimer = setTimeout(flush, STREAM_FLUSH_INTERVAL_MS);
+                    }
+                },
+                token: request.token
+            });
+        } finally {
+            flush();
         }
 
-        // Execute with timeout
-        const { stdout, stderr } = await execAsync(command, {
-            cwd: this.workspacePath,
-            timeout: 60000, // 60 second timeout
-            maxBuffer: 10 * 1024 * 1024 // 10MB buffer
-        });
+        return results;
+    }
 
-        if (stderr) {
-            console.error('Backend stderr:', stderr);
+    /**
+     * Forward a daemon "progress" notification to the caller
+     */
+    private reportProgress(notification: BackendNotification, request: RequestOptions): void {
+        if (notification.method === 'progress' && request.onProgress) {
+            const { stage, message, totalFiles, processedFiles } = notification.params;
+            request.onProgress({ stage, message, totalFiles, processedFiles });
         }
+    }
 
-        return stdout;
+    /**
+     * Execute search and replace (preview mode - no files are modified)
+     */
+    async searchAndReplace(pattern: string, replacePattern: string, options: SearchOptions = {}, request: RequestOptions = {}): Promise<ReplacementResult[]> {
+        const roots = resolveRoots(this.workspaceFolders.map(folder => folder.uri.fsPath), options);
+
+        return forEachRoot(roots, async root => {
+            try {
+                if (this.daemon.isAvailable) {
+                    const data = await this.daemon.request('replace', this.createRequestParams(root, pattern, options, replacePattern), {
+                        onNotification: notification => this.reportProgress(notification, request),
+                        token: request.token
+                    });
+                    return this.extractReplacementResults(data);
+                }
+
+                const output = await this.executeSearchAndReplaceBackend(root, pattern, replacePattern, options, request.token);
+                return this.parseReplacementResults(output);
+            } catch (error) {
+                throw createBackendError(error, request.token);
+            }
+        });
     }
 
     /**
-     * Execute backend with search and replace pattern (preview or apply)
+     * Abort signal that fires when the token is cancelled, used to kill one-shot backend processes
      */
-    private async executeSearchAndReplaceBackend(pattern: string, replacePattern: string, options: SearchOptions, apply: boolean): Promise<string> {
-        const args = [
-            '--pattern', this.quoteArgument(pattern),
-            '--replace', this.quoteArgument(replacePattern),
-            '--output', 'json'
-        ];
-
-        // Add apply flag if requested
-        if (apply) {
-            args.push('--apply');
+    private createAbortSignal(token?: vscode.CancellationToken): AbortSignal | undefined {
+        if (!token) {
+            return undefined;
         }
 
-        // Add workspace option for workspace-level search
-        if (this.workspacePath) {
-            args.push('--workspace', this.quoteArgument(this.workspacePath));
+        const controller = new AbortController();
+        if (token.isCancellationRequested) {
+            controller.abort();
+        } else {
+            token.onCancellationRequested(() => controller.abort());
         }
+        return controller.signal;
+    }
 
-        // Add additional options
-        if (options.filePattern) {
-            args.push('--file-filter', this.quoteArgument(options.filePattern));
-        }
+    /**
+     * Execute the backend CLI with the given pattern
+     */
+    private async executeBackend(root: string, pattern: string, options: SearchOptions, outputFormat: 'json' | 'ndjson' = 'json', token?: vscode.CancellationToken): Promise<string> {
+        return this.withOverlaysFile(root, overlaysFile => {
+            const args = buildBackendArgs(pattern, {
+                outputFormat,
+                workspace: root,
+                filePattern: options.filePattern,
+                overlaysFile,
+                constraints: options.constraints,
+                matchCase: options.matchCase,
+                wholeWord: options.wholeWord,
+                ...this.createScope(root, options)
+            });
+
+            return this.runBackendCli(root, args, 60000, token); // 60 second timeout
+        });
+    }
 
-        // Build command
-        let command: string;
-        if (process.platform === 'win32' && this.backendPath.endsWith('.exe')) {
-            command = `"${this.backendPath}" ${args.join(' ')}`;
-        } else {
-            // Use dotnet to run the .dll
-            const dllPath = this.backendPath.replace('.exe', '.dll');
-            command = `dotnet "${dllPath}" ${args.join(' ')}`;
-        }
+    /**
+     * Execute backend with search and replace pattern (preview only, no files are modified)
+     */
+    private async executeSearchAndReplaceBackend(root: string, pattern: string, replacePattern: string, options: SearchOptions, token?: vscode.CancellationToken): Promise<string> {
+        return this.withOverlaysFile(root, overlaysFile => {
+            const args = buildBackendArgs(pattern, {
+                replacePattern,
+                workspace: root,
+                filePattern: options.filePattern,
+                overlaysFile,
+                constraints: options.constraints,
+                matchCase: options.matchCase,
+                wholeWord: options.wholeWord,
+                ...this.createScope(root, options)
+            });
+
+            return this.runBackendCli(root, args, 120000, token); // 120 second timeout for replacements
+        });
+    }
 
-        // Execute with timeout
-        const { stdout, stderr } = await execAsync(command, {
-            cwd: this.workspacePath,
-            timeout: 120000, // 120 second timeout for replacements
-            maxBuffer: 10 * 1024 * 1024 // 10MB buffer
+    /**
+     * Run a one-shot backend process and return its stdout.
+     * The process is started directly (no shell), so arguments need no quoting.
+     */
+    private async runBackendCli(cwd: string, args: string[], timeout: number, token?: vscode.CancellationToken): Promise<string> {
+        const backend = this.getBackendCommand();
+
+        const { stdout, stderr } = await execFileAsync(backend.command, [...backend.args, ...args], {
+            cwd,
+            timeout,
+            maxBuffer: 10 * 1024 * 1024, // 10MB buffer
+            signal: this.createAbortSignal(token)
         });
 
         if (stderr) {
@@ -230,40 +762,34 @@ export class BackendService {
             return [];
         }
 
+        let data: any;
         try {
             // The backend should output JSON
-            const data = JSON.parse(output);
-
-            // Handle different response formats
-            if (Array.isArray(data)) {
-                return data.map(this.normalizeResult);
-            } else if (data.matches && Array.isArray(data.matches)) {
-                return data.matches.map(this.normalizeResult);
-            } else if (data.results && Array.isArray(data.results)) {
-                return data.results.map(this.normalizeResult);
-            } else {
-                console.warn('Unexpected backend output format:', data);
-                return [];
-            }
+            data = JSON.parse(output);
         } catch (error) {
             // If not JSON, try to parse line-by-line (fallback for development)
             console.warn('Failed to parse JSON output, using fallback parsing:', error);
             return this.parseFallbackOutput(output);
         }
+
+        return this.extractSearchResults(data);
     }
 
     /**
-     * Normalize a single result object
+     * Extract search results from a parsed backend response
      */
-    private normalizeResult(result: any): SearchResult {
-        return {
-            file: result.file || result.File || result.filePath || '',
-            line: parseInt(result.line || result.Line || result.lineNumber || '1'),
-            column: parseInt(result.column || result.Column || result.columnNumber || '1'),
-            code: result.code || result.Code || result.matchedCode || result.snippet || '',
-            matchedText: result.matchedText || result.MatchedText || result.match || result.matchedCode || '',
-            placeholders: result.placeholders || result.Placeholders || {}
-        };
+    private extractSearchResults(data: any): SearchResult[] {
+        // Handle different response formats
+        if (Array.isArray(data)) {
+            return data.map(normalizeResult);
+        } else if (data && data.matches && Array.isArray(data.matches)) {
+            return data.matches.map(normalizeResult);
+        } else if (data && data.results && Array.isArray(data.results)) {
+            return data.results.map(normalizeResult);
+        } else {
+            console.warn('Unexpected backend output format:', data);
+            return [];
+        }
     }
 
     /**
@@ -275,25 +801,30 @@ export class BackendService {
         }
 
         try {
-            const data = JSON.parse(output);
-
-            // Handle different response formats
-            if (Array.isArray(data)) {
-                return data.map(this.normalizeReplacementResult);
-            } else if (data.replacements && Array.isArray(data.replacements)) {
-                return data.replacements.map(this.normalizeReplacementResult);
-            } else if (data.results && Array.isArray(data.results)) {
-                return data.results.map(this.normalizeReplacementResult);
-            } else {
-                console.warn('Unexpected backend output format:', data);
-                return [];
-            }
+            return this.extractReplacementResults(JSON.parse(output));
         } catch (error) {
             console.warn('Failed to parse replacement results:', error);
             return [];
         }
     }
 
+    /**
+     * Extract replacement results from a parsed backend response
+     */
+    private extractReplacementResults(data: any): ReplacementResult[] {
+        // Handle different response formats
+        if (Array.isArray(data)) {
+            return data.map(this.normalizeReplacementResult);
+        } else if (data && data.replacements && Array.isArray(data.replacements)) {
+            return data.replacements.map(this.normalizeReplacementResult);
+        } else if (data && data.results && Array.isArray(data.results)) {
+            return data.results.map(this.normalizeReplacementResult);
+        } else {
+            console.warn('Unexpected backend output format:', data);
+            return [];
+        }
+    }
+
     /**
      * Normalize a single replacement result object
      */
@@ -302,52 +833,15 @@ export class BackendService {
             filePath: result.filePath || result.FilePath || result.file || '',
             line: parseInt(result.line || result.Line || result.lineNumber || '1'),
             column: parseInt(result.column || result.Column || result.columnNumber || '1'),
+            startPosition: result.startPosition ?? result.StartPosition,
+            endPosition: result.endPosition ?? result.EndPosition,
             originalCode: result.originalCode || result.OriginalCode || '',
             replacementCode: result.replacementCode || result.ReplacementCode || '',
+            contentHash: result.contentHash ?? result.ContentHash,
             placeholders: result.placeholders || result.Placeholders || {}
         };
     }
 
-    /**
-     * Parse application results from backend output
-     */
-    private parseApplicationResults(output: string): ApplicationResult[] {
-        if (!output || output.trim().length === 0) {
-            return [];
-        }
-
-        try {
-            const data = JSON.parse(output);
-
-            // Handle different response formats
-            if (Array.isArray(data)) {
-                return data.map(this.normalizeApplicationResult);
-            } else if (data.applicationResults && Array.isArray(data.applicationResults)) {
-                return data.applicationResults.map(this.normalizeApplicationResult);
-            } else if (data.results && Array.isArray(data.results)) {
-                return data.results.map(this.normalizeApplicationResult);
-            } else {
-                console.warn('Unexpected application results format:', data);
-                return [];
-            }
-        } catch (error) {
-            console.warn('Failed to parse application results:', error);
-            return [];
-        }
-    }
-
-    /**
-     * Normalize a single application result object
-     */
-    private normalizeApplicationResult(result: any): ApplicationResult {
-        return {
-            filePath: result.filePath || result.FilePath || '',
-            replacementsApplied: parseInt(result.replacementsApplied || result.ReplacementsApplied || '0'),
-            success: result.success !== false && !result.error,
-            error: result.error || result.Error || undefined
-        };
-    }
-
     /**
      * Fallback parsing for non-JSON output (development/debugging)
      */
@@ -358,61 +852,34 @@ export class BackendService {
     }
 
     /**
-     * Create a user-friendly error from backend error
+     * Check a pattern and replacement pattern with the backend's parser, without searching.
+     * Resolves to undefined when the daemon is not available: starting the CLI on every keystroke would be too slow.
      */
-    private createBackendError(error: any): BackendError {
-        if (error.code === 'ENOENT') {
-            return {
-                message: 'Backend executable not found',
-                details: 'The SharpCodeSearch backend could not be located. Please ensure the extension is properly installed.'
-            };
-        } else if (error.killed || error.signal === 'SIGTERM') {
-            return {
-                message: 'Search timed out',
-                details: 'The search operation took too long and was cancelled. Try searching in a smaller scope.'
-            };
-        } else if (error.stderr) {
-            return {
-                message: 'Backend error',
-                details: error.stderr
-            };
-        } else {
-            return {
-                message: 'An unexpected error occurred',
-                details: error.message || String(error)
-            };
+    async validatePattern(pattern: string, replacePattern?: string, constraints?: Record<string, PlaceholderConstraints>, token?: vscode.CancellationToken): Promise<PatternValidation | undefined> {
+        if (!this.daemon.isAvailable) {
+            return undefined;
         }
-    }
 
-    /**
-     * Quote a command line argument for safe passing to shell
-     */
-    private quoteArgument(arg: string): string {
-        // If argument contains spaces or special characters, wrap in quotes
-        // Escape any double quotes inside the argument
-        if (arg.includes(' ') || arg.includes('"') || arg.includes('$')) {
-            return `"${arg.replace(/"/g, '\\"')}"`;
+        try {
+            const data = await this.daemon.request('validate', { pattern, replace: replacePattern || undefined, constraints }, { token });
+            return parsePatternValidation(data);
+        } catch (error) {
+            throw createBackendError(error, token);
         }
-        return arg;
     }
 
     /**
-     * Verify backend is available
+     * Verify backend is available. When it is not, the persistent process is never started,
+     * so background features do not keep launching a backend that cannot run.
      */
     async verifyBackend(): Promise<boolean> {
         try {
-            let command: string;
-            if (process.platform === 'win32' && this.backendPath.endsWith('.exe')) {
-                command = `"${this.backendPath}" --help`;
-            } else {
-                const dllPath = this.backendPath.replace('.exe', '.dll');
-                command = `dotnet "${dllPath}" --help`;
-            }
-
-            await execAsync(command, { timeout: 5000 });
+            const backend = this.getBackendCommand();
+            await execFileAsync(backend.command, [...backend.args, '--help'], { timeout: 5000 });
             return true;
         } catch (error) {
             console.error('Backend verification failed:', error);
+            this.daemon.disable();
             return false;
         }
     }
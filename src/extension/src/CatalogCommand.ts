@@ -0,0 +1,118 @@
+import * as vscode from 'vscode';
+import { BackendService } from './BackendService';
+import { CatalogPattern, PatternCatalog, WORKSPACE_CATALOG_PATH } from './PatternCatalog';
+import { SearchPanel } from './SearchCommand';
+
+interface CatalogItem extends vscode.QuickPickItem {
+    entry?: CatalogPattern;
+}
+
+const RUN_BUTTON: vscode.QuickInputButton = {
+    iconPath: new vscode.ThemeIcon('play'),
+    tooltip: 'Load and run this pattern'
+};
+
+const OPEN_CATALOG_BUTTON: vscode.QuickInputButton = {
+    iconPath: new vscode.ThemeIcon('edit'),
+    tooltip: `Open ${WORKSPACE_CATALOG_PATH}`
+};
+
+/**
+ * Build quick pick items grouped by category
+ */
+function createCatalogItems(patterns: CatalogPattern[]): CatalogItem[] {
+    const categories = new Map<string, CatalogPattern[]>();
+    for (const entry of patterns) {
+        const category = entry.category ?? 'Other';
+        categories.set(category, [...(categories.get(category) ?? []), entry]);
+    }
+
+    const items: CatalogItem[] = [];
+    for (const [category, entries] of categories) {
+        items.push({ label: category, kind: vscode.QuickPickItemKind.Separator });
+        for (const entry of entries) {
+            items.push({
+                label: entry.name,
+                description: entry.source === 'built-in' ? entry.description : `${entry.description ?? ''} (${entry.source})`.trim(),
+                detail: entry.replacePattern ? `${entry.pattern}  →  ${entry.replacePattern}` : entry.pattern,
+                buttons: [RUN_BUTTON],
+                entry
+            });
+        }
+    }
+    return items;
+}
+
+/**
+ * Open the first workspace folder's catalog file, creating it with an example entry if needed
+ */
+async function openWorkspaceCatalog(): Promise<void> {
+    const folder = vscode.workspace.workspaceFolders?.[0];
+    if (!folder) {
+        vscode.window.showErrorMessage('Open a workspace folder to add your own patterns.');
+        return;
+    }
+
+    const uri = vscode.Uri.joinPath(folder.uri, WORKSPACE_CATALOG_PATH);
+    try {
+        await vscode.workspace.fs.stat(uri);
+    } catch {
+        const example = {
+            patterns: [
+                {
+                    name: 'Example: ToString() calls',
+                    category: 'Team',
+                    description: 'Describe why this pattern matters',
+                    pattern: '$expr$.ToString()'
+                }
+            ]
+        };
+        await vscode.workspace.fs.writeFile(uri, Buffer.from(JSON.stringify(example, null, 2) + '\n', 'utf8'));
+    }
+
+    await vscode.window.showTextDocument(uri);
+}
+
+/**
+ * Register the pattern catalog command
+ */
+export function registerCatalogCommand(context: vscode.ExtensionContext, backendService: BackendService): vscode.Disposable {
+    const catalog = new PatternCatalog(context.extensionUri);
+
+    return vscode.commands.registerCommand('sharpCodeSearch.catalog', async () => {
+        const quickPick = vscode.window.createQuickPick<CatalogItem>();
+        quickPick.title = 'Sharp Code Search: Pattern Catalog';
+        quickPick.placeholder = 'Pick a pattern to load it into the search panel';
+        quickPick.matchOnDescription = true;
+        quickPick.matchOnDetail = true;
+        quickPick.buttons = [OPEN_CATALOG_BUTTON];
+        quickPick.busy = true;
+        quickPick.show();
+
+        const load = (entry: CatalogPattern, run: boolean) => {
+            quickPick.hide();
+            SearchPanel.createOrShow(context, backendService);
+            SearchPanel.currentPanel?.loadPattern(entry, run);
+        };
+
+        quickPick.onDidAccept(() => {
+            const entry = quickPick.selectedItems[0]?.entry;
+            if (entry) {
+                load(entry, false);
+            }
+        });
+        quickPick.onDidTriggerItemButton(event => {
+            if (event.item.entry) {
+                load(event.item.entry, true);
+            }
+        });
+        quickPick.onDidTriggerButton(() => {
+            quickPick.hide();
+            openWorkspaceCatalog();
+        });
+        quickPick.onDidHide(() => quickPick.dispose());
+
+        quickPick.items = createCatalogItems(await catalog.getPatterns());
+        quickPick.busy = false;
+    });
+}
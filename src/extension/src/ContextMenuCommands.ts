@@ -0,0 +1,60 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { BackendService } from './BackendService';
+import { exactPattern, generalizePattern } from './PatternGeneralizer';
+import { SearchPanel } from './SearchCommand';
+
+/**
+ * Search for code like the editor's selection, either exactly or with its names and literals as placeholders
+ */
+async function searchSelection(context: vscode.ExtensionContext, backendService: BackendService): Promise<void> {
+    const editor = vscode.window.activeTextEditor;
+    const code = editor?.document.getText(editor.selection).trim();
+    if (!code) {
+        vscode.window.showInformationMessage('Sharp Code Search: Select the code to search for');
+        return;
+    }
+
+    let pattern = exactPattern(code);
+    const generalized = generalizePattern(code);
+    if (generalized !== pattern) {
+        const choice = await vscode.window.showQuickPick([
+            { label: 'Generalize names and literals', description: 'Matches the same code with other variables and values', pattern: generalized, detail: generalized },
+            { label: 'Exact code', pattern, detail: pattern }
+        ], { title: 'Search for Similar Code' });
+        if (!choice) {
+            return;
+        }
+        pattern = choice.pattern;
+    }
+
+    SearchPanel.createOrShow(context, backendService);
+    SearchPanel.currentPanel?.loadPattern({ pattern }, true);
+}
+
+/**
+ * Open the search panel scoped to a folder picked in the Explorer
+ */
+function searchInFolder(context: vscode.ExtensionContext, backendService: BackendService, uri: vscode.Uri | undefined): void {
+    const workspaceFolder = uri && vscode.workspace.getWorkspaceFolder(uri);
+    if (!uri || !workspaceFolder) {
+        vscode.window.showErrorMessage('Sharp Code Search: Only folders of the workspace can be searched');
+        return;
+    }
+
+    // Include globs are relative to the workspace folder and use forward slashes
+    const relative = path.relative(workspaceFolder.uri.fsPath, uri.fsPath).split(path.sep).join('/');
+
+    SearchPanel.createOrShow(context, backendService);
+    SearchPanel.currentPanel?.setScope(workspaceFolder.uri.fsPath, relative ? [`${relative}/**`] : []);
+}
+
+/**
+ * Register the editor context menu's "Search for Similar Code" and the Explorer's "Search in Folder"
+ */
+export function registerContextMenuCommands(context: vscode.ExtensionContext, backendService: BackendService): vscode.Disposable {
+    return vscode.Disposable.from(
+        vscode.commands.registerCommand('sharpCodeSearch.searchSelection', () => searchSelection(context, backendService)),
+        vscode.commands.registerCommand('sharpCodeSearch.searchInFolder', (uri?: vscode.Uri) => searchInFolder(context, backendService, uri))
+    );
+}
@@ -0,0 +1,106 @@
+import * as vscode from 'vscode';
+import { BackendService, SearchResult } from './BackendService';
+import { getMatchRange } from './PatternDiagnostics';
+import { resolveMatchFile } from './WorkspaceFiles';
+
+/**
+ * Internal command replacing the highlighted matches: (results); an empty list clears them
+ */
+export const HIGHLIGHT_MATCHES_COMMAND = 'sharpCodeSearch.highlightMatches';
+
+/**
+ * Highlights the matches of the last search in visible editors, with the text captured by placeholders
+ * marked separately, and marks them in the overview ruler
+ */
+export class MatchHighlighter implements vscode.Disposable {
+    private readonly matchDecoration = vscode.window.createTextEditorDecorationType({
+        backgroundColor: new vscode.ThemeColor('editor.findMatchHighlightBackground'),
+        overviewRulerColor: new vscode.ThemeColor('editorOverviewRuler.findMatchForeground'),
+        overviewRulerLane: vscode.OverviewRulerLane.Center
+    });
+    private readonly placeholderDecoration = vscode.window.createTextEditorDecorationType({
+        backgroundColor: new vscode.ThemeColor('editor.wordHighlightStrongBackground'),
+        borderColor: new vscode.ThemeColor('editor.wordHighlightStrongBorder'),
+        borderStyle: 'solid',
+        borderWidth: '1px'
+    });
+    /** Matches by file fsPath */
+    private readonly matches = new Map<string, SearchResult[]>();
+    private readonly disposables: vscode.Disposable[] = [];
+
+    constructor(private readonly backendService: BackendService) {
+        this.disposables.push(
+            this.matchDecoration,
+            this.placeholderDecoration,
+            vscode.window.onDidChangeVisibleTextEditors(editors => editors.forEach(editor => this.decorate(editor))),
+            vscode.workspace.onDidChangeTextDocument(event => {
+                // Offsets from the search no longer fit an edited file; the decorations already
+                // shown follow the edit, but must not be recomputed from stale offsets
+                if (event.contentChanges.length > 0) {
+                    this.matches.delete(event.document.uri.fsPath);
+                }
+            })
+        );
+    }
+
+    /**
+     * Replace the highlighted matches
+     */
+    setResults(results: SearchResult[]): void {
+        const workspaceFolders = this.backendService.getWorkspaceFolders();
+
+        this.matches.clear();
+        for (const result of results) {
+            const file = vscode.Uri.file(resolveMatchFile(result.file, result.root, workspaceFolders) ?? result.file).fsPath;
+            this.matches.set(file, [...(this.matches.get(file) ?? []), result]);
+        }
+
+        vscode.window.visibleTextEditors.forEach(editor => this.decorate(editor));
+    }
+
+    /**
+     * Matches highlighted in a file; none once the file has been edited since the search
+     */
+    getMatches(uri: vscode.Uri): readonly SearchResult[] {
+        return this.matches.get(uri.fsPath) ?? [];
+    }
+
+    private decorate(editor: vscode.TextEditor): void {
+        const { document } = editor;
+        const results = document.uri.scheme === 'file' ? this.matches.get(document.uri.fsPath) ?? [] : [];
+
+        const matchRanges: vscode.Range[] = [];
+        const placeholderRanges: vscode.Range[] = [];
+        for (const result of results) {
+            if (result.startPosition !== undefined && result.endPosition !== undefined) {
+                matchRanges.push(new vscode.Range(document.positionAt(result.startPosition), document.positionAt(result.endPosition)));
+            } else {
+                matchRanges.push(getMatchRange(result.line, result.column, result.matchedText));
+            }
+
+            for (const span of Object.values(result.placeholderSpans ?? {})) {
+                placeholderRanges.push(new vscode.Range(document.positionAt(span.start), document.positionAt(span.end)));
+            }
+        }
+
+        editor.setDecorations(this.matchDecoration, matchRanges);
+        editor.setDecorations(this.placeholderDecoration, placeholderRanges);
+    }
+
+    dispose(): void {
+        this.matches.clear();
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
+
+/**
+ * Register the match highlighter and the command updating it
+ */
+export function registerMatchHighlights(backendService: BackendService): vscode.Disposable {
+    const highlighter = new MatchHighlighter(backendService);
+
+    return vscode.Disposable.from(
+        highlighter,
+        vscode.commands.registerCommand(HIGHLIGHT_MATCHES_COMMAND, (results: SearchResult[]) => highlighter.setResults(results))
+    );
+}
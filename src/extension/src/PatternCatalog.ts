@@ -0,0 +1,226 @@
+import * as vscode from 'vscode';
+
+/**
+ * Workspace file (relative to each workspace folder) whose patterns are added to the catalog
+ */
+export const WORKSPACE_CATALOG_PATH = '.sharpcodesearch/patterns.json';
+
+export type PatternSeverity = 'error' | 'warning' | 'information' | 'hint';
+
+const SEVERITIES: PatternSeverity[] = ['error', 'warning', 'information', 'hint'];
+
+/**
+ * Constraints on one placeholder, mirroring what the backend's ConstraintValidator checks
+ */
+export interface PlaceholderConstraints {
+    kind?: string;
+    type?: string;
+    regex?: string;
+    minCount?: number;
+    maxCount?: number;
+    exact?: string;
+}
+
+/**
+ * Pattern being built in the search panel
+ */
+export interface PatternDraft {
+    pattern: string;
+    replacePattern?: string;
+    constraints?: Record<string, PlaceholderConstraints>;
+}
+
+/**
+ * A named search (and optional replace) pattern listed in the catalog
+ */
+export interface CatalogPattern extends PatternDraft {
+    name: string;
+    description?: string;
+    category?: string;
+    severity?: PatternSeverity;
+    tags?: string[];
+    /** 'built-in', or the name of the workspace folder the entry comes from */
+    source: string;
+    /** URI of the workspace folder the entry comes from; names of workspace folders need not be unique */
+    folderUri?: string;
+}
+
+/**
+ * Parse the content of a catalog file: { "patterns": [...] } or a bare array of entries.
+ * Entries without a name or pattern are skipped.
+ */
+export function parseCatalog(data: any, source: string): CatalogPattern[] {
+    const entries = Array.isArray(data) ? data : data?.patterns;
+    if (!Array.isArray(entries)) {
+        throw new Error('Expected a "patterns" array');
+    }
+
+    return entries
+        .filter(entry => entry && typeof entry.name === 'string' && typeof entry.pattern === 'string')
+        .map(entry => ({
+            name: entry.name,
+            pattern: entry.pattern,
+            replacePattern: typeof entry.replacePattern === 'string' ? entry.replacePattern : undefined,
+            description: typeof entry.description === 'string' ? entry.description : undefined,
+            category: typeof entry.category === 'string' ? entry.category : undefined,
+            severity: SEVERITIES.includes(entry.severity) ? entry.severity : undefined,
+            tags: Array.isArray(entry.tags) ? entry.tags.filter((tag: unknown) => typeof tag === 'string') : undefined,
+            constraints: entry.constraints && typeof entry.constraints === 'object' ? entry.constraints : undefined,
+            source
+        }));
+}
+
+/**
+ * Add an entry to a workspace folder's catalog file, replacing any entry with the same name.
+ * The rest of the file (other entries, unknown fields) is written back unchanged.
+ */
+export async function addToWorkspaceCatalog(folder: vscode.Uri, entry: Omit<CatalogPattern, 'source'>): Promise<vscode.Uri> {
+    const uri = vscode.Uri.joinPath(folder, WORKSPACE_CATALOG_PATH);
+
+    let data: any = { patterns: [] };
+    try {
+        data = JSON.parse(Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8'));
+    } catch (error: any) {
+        // A missing file is created; a file we cannot parse must not be overwritten
+        if (!(error instanceof vscode.FileSystemError)) {
+            throw new Error(`${WORKSPACE_CATALOG_PATH} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    if (Array.isArray(data)) {
+        data = { patterns: data };
+    } else if (!Array.isArray(data.patterns)) {
+        data.patterns = [];
+    }
+
+    const index = data.patterns.findIndex((existing: any) => existing?.name === entry.name);
+    if (index >= 0) {
+        data.patterns[index] = entry;
+    } else {
+        data.patterns.push(entry);
+    }
+
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(JSON.stringify(data, null, 2) + '\n', 'utf8'));
+    return uri;
+}
+
+/**
+ * Ask for a name, description, severity and tags, then save the pattern to a workspace catalog file
+ */
+export async function promptSavePattern(draft: PatternDraft): Promise<void> {
+    const folder = (vscode.workspace.workspaceFolders?.length ?? 0) > 1
+        ? await vscode.window.showWorkspaceFolderPick({ placeHolder: 'Workspace folder whose catalog receives the pattern' })
+        : vscode.workspace.workspaceFolders?.[0];
+    if (!folder) {
+        return;
+    }
+
+    const existing = (await readWorkspaceCatalog(folder)).map(entry => entry.name);
+
+    const name = await vscode.window.showInputBox({
+        title: 'Save Pattern (1/4)',
+        prompt: 'Pattern name',
+        validateInput: value => value.trim().length === 0 ? 'A name is required' : undefined
+    });
+    if (name === undefined) {
+        return;
+    }
+
+    const description = await vscode.window.showInputBox({
+        title: 'Save Pattern (2/4)',
+        prompt: 'Description, shown as the message of matches'
+    });
+    if (description === undefined) {
+        return;
+    }
+
+    const severity = await vscode.window.showQuickPick(
+        ['warning', 'error', 'information', 'hint'],
+        { title: 'Save Pattern (3/4)', placeHolder: 'Severity of matches' }
+    ) as PatternSeverity | undefined;
+    if (!severity) {
+        return;
+    }
+
+    const tags = await vscode.window.showInputBox({
+        title: 'Save Pattern (4/4)',
+        prompt: 'Tags, comma-separated (optional)'
+    });
+    if (tags === undefined) {
+        return;
+    }
+
+    const trimmedName = name.trim();
+    if (existing.includes(trimmedName)) {
+        const replace = await vscode.window.showWarningMessage(
+            `A pattern named "${trimmedName}" already exists in ${WORKSPACE_CATALOG_PATH}.`,
+            { modal: true },
+            'Replace'
+        );
+        if (replace !== 'Replace') {
+            return;
+        }
+    }
+
+    const hasConstraints = draft.constraints && Object.keys(draft.constraints).length > 0;
+    const uri = await addToWorkspaceCatalog(folder.uri, {
+        name: trimmedName,
+        description: description.trim() || undefined,
+        severity,
+        tags: tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0),
+        pattern: draft.pattern,
+        replacePattern: draft.replacePattern || undefined,
+        constraints: hasConstraints ? draft.constraints : undefined
+    });
+
+    const open = await vscode.window.showInformationMessage(
+        `Saved "${trimmedName}" to ${vscode.workspace.asRelativePath(uri)}`,
+        'Open File'
+    );
+    if (open) {
+        await vscode.window.showTextDocument(uri);
+    }
+}
+
+/**
+ * Loads catalog patterns from the bundled defaults and each workspace folder's patterns file
+ */
+export class PatternCatalog {
+    constructor(private readonly extensionUri: vscode.Uri) { }
+
+    async getPatterns(): Promise<CatalogPattern[]> {
+        const builtIn = await readCatalogFile(
+            vscode.Uri.joinPath(this.extensionUri, 'patterns', 'default-patterns.json'), 'built-in');
+
+        const workspace = await Promise.all(
+            (vscode.workspace.workspaceFolders ?? []).map(folder => readWorkspaceCatalog(folder))
+        );
+
+        return [...builtIn, ...workspace.flat()];
+    }
+}
+
+/**
+ * Patterns of a single workspace folder's catalog file (none if it has no catalog)
+ */
+export async function readWorkspaceCatalog(folder: vscode.WorkspaceFolder): Promise<CatalogPattern[]> {
+    const patterns = await readCatalogFile(vscode.Uri.joinPath(folder.uri, WORKSPACE_CATALOG_PATH), folder.name);
+    return patterns.map(pattern => ({ ...pattern, folderUri: folder.uri.toString() }));
+}
+
+async function readCatalogFile(uri: vscode.Uri, source: string): Promise<CatalogPattern[]> {
+    let content: Uint8Array;
+    try {
+        content = await vscode.workspace.fs.readFile(uri);
+    } catch {
+        // Most workspaces have no catalog file
+        return [];
+    }
+
+    try {
+        return parseCatalog(JSON.parse(Buffer.from(content).toString('utf8')), source);
+    } catch (error: any) {
+        vscode.window.showWarningMessage(`Sharp Code Search: Ignoring invalid pattern catalog ${uri.fsPath}: ${error.message}`);
+        return [];
+    }
+}
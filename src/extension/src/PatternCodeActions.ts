@@ -0,0 +1,106 @@
+import * as vscode from 'vscode';
+import { DIAGNOSTIC_SOURCE, PatternDiagnostics, PatternFix } from './PatternDiagnostics';
+
+/**
+ * Longest replacement shown in a quick fix title
+ */
+const MAX_TITLE_LENGTH = 60;
+
+/**
+ * Offers "Replace with …" and "Fix all in file" quick fixes for diagnostics of catalog patterns
+ * that have a replace pattern, using the replacements previewed when the file was checked
+ */
+export class PatternCodeActionProvider implements vscode.CodeActionProvider {
+    static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+    constructor(private readonly diagnostics: PatternDiagnostics) { }
+
+    provideCodeActions(
+        document: vscode.TextDocument,
+        _range: vscode.Range | vscode.Selection,
+        context: vscode.CodeActionContext
+    ): vscode.CodeAction[] {
+        // A fix whose text was edited since the last check no longer applies
+        const fixes = this.diagnostics.getFixes(document.uri)
+            .filter(fix => document.getText(fix.range) === fix.replacement.originalCode);
+
+        const actions: vscode.CodeAction[] = [];
+        const fixAllPatterns = new Set<string>();
+
+        for (const diagnostic of context.diagnostics) {
+            if (diagnostic.source !== DIAGNOSTIC_SOURCE) {
+                continue;
+            }
+
+            const fix = fixes.find(candidate =>
+                candidate.pattern.name === diagnostic.code && candidate.range.isEqual(diagnostic.range));
+            if (!fix) {
+                continue;
+            }
+
+            const action = new vscode.CodeAction(
+                `Replace with '${formatTitle(fix.replacement.replacementCode)}'`,
+                vscode.CodeActionKind.QuickFix
+            );
+            action.edit = createEdit(document.uri, [fix]);
+            action.diagnostics = [diagnostic];
+            action.isPreferred = true;
+            actions.push(action);
+
+            fixAllPatterns.add(fix.pattern.name);
+        }
+
+        for (const name of fixAllPatterns) {
+            const patternFixes = fixes.filter(fix => fix.pattern.name === name);
+            if (patternFixes.length < 2) {
+                continue;
+            }
+
+            const action = new vscode.CodeAction(
+                `Fix all '${name}' in file (${patternFixes.length})`,
+                vscode.CodeActionKind.QuickFix
+            );
+            action.edit = createEdit(document.uri, patternFixes);
+            actions.push(action);
+        }
+
+        return actions;
+    }
+}
+
+/**
+ * Build an edit replacing each match; a match overlapping an earlier one (e.g. a nested match) is skipped
+ */
+function createEdit(uri: vscode.Uri, fixes: PatternFix[]): vscode.WorkspaceEdit {
+    const edit = new vscode.WorkspaceEdit();
+    let previous: vscode.Range | undefined;
+
+    for (const fix of [...fixes].sort((a, b) => a.range.start.compareTo(b.range.start))) {
+        if (previous && fix.range.start.isBefore(previous.end)) {
+            continue;
+        }
+        edit.replace(uri, fix.range, fix.replacement.replacementCode);
+        previous = fix.range;
+    }
+
+    return edit;
+}
+
+/**
+ * Replacement code on a single line, shortened to fit a menu entry
+ */
+function formatTitle(code: string): string {
+    const singleLine = code.replace(/\s+/g, ' ').trim();
+    return singleLine.length > MAX_TITLE_LENGTH ? singleLine.slice(0, MAX_TITLE_LENGTH - 1) + '…' : singleLine;
+}
+
+/**
+ * Register the quick fix provider for C# files
+ */
+export function registerPatternCodeActions(diagnostics: PatternDiagnostics): vscode.Disposable {
+    return vscode.languages.registerCodeActionsProvider(
+        { language: 'csharp', scheme: 'file' },
+        new PatternCodeActionProvider(diagnostics),
+        { providedCodeActionKinds: PatternCodeActionProvider.providedCodeActionKinds }
+    );
+}
@@ -0,0 +1,250 @@
+import * as vscode from 'vscode';
+import { BackendService, ReplacementResult } from './BackendService';
+import { CatalogPattern, PatternCatalog, PatternSeverity, WORKSPACE_CATALOG_PATH } from './PatternCatalog';
+
+const SEVERITY_MAP: Record<PatternSeverity, vscode.DiagnosticSeverity> = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning,
+    information: vscode.DiagnosticSeverity.Information,
+    hint: vscode.DiagnosticSeverity.Hint
+};
+
+/**
+ * Pause after a document is opened or saved before it is checked, so a burst of saves runs one check, in milliseconds
+ */
+const CHECK_DELAY_MS = 500;
+
+/**
+ * Source of the diagnostics reported for catalog patterns
+ */
+export const DIAGNOSTIC_SOURCE = 'Sharp Code Search';
+
+/**
+ * Replacement offered for a diagnostic of a catalog pattern that has a replace pattern
+ */
+export interface PatternFix {
+    pattern: CatalogPattern;
+    range: vscode.Range;
+    replacement: ReplacementResult;
+}
+
+/**
+ * Range covered by a match: from its start position (1-based line and column) to the end of the matched text
+ */
+export function getMatchRange(line: number, column: number, text: string): vscode.Range {
+    const start = new vscode.Position(Math.max(0, line - 1), Math.max(0, column - 1));
+    const lines = text.split(/\r?\n/);
+    const end = lines.length === 1
+        ? start.translate(0, lines[0].length)
+        : new vscode.Position(start.line + lines.length - 1, lines[lines.length - 1].length);
+
+    return new vscode.Range(start, end);
+}
+
+/**
+ * Runs catalog patterns that have a severity against open and saved C# files,
+ * reporting their matches in the Problems panel
+ */
+export class PatternDiagnostics implements vscode.Disposable {
+    private readonly diagnostics = vscode.languages.createDiagnosticCollection('sharpCodeSearch');
+    private readonly fixes = new Map<string, PatternFix[]>();
+    private readonly disposables: vscode.Disposable[] = [];
+    /** Cancels the check of a document that is superseded by a newer one */
+    private readonly running = new Map<string, vscode.CancellationTokenSource>();
+    /** Checks waiting for their document to settle */
+    private readonly pending = new Map<string, NodeJS.Timeout>();
+    private patterns: Promise<CatalogPattern[]> | undefined;
+    /** Checks run one at a time so opening many files does not flood the backend */
+    private queue: Promise<void> = Promise.resolve();
+
+    constructor(private readonly catalog: PatternCatalog, private readonly backendService: BackendService) {
+        const watcher = vscode.workspace.createFileSystemWatcher(`**/${WORKSPACE_CATALOG_PATH}`);
+        const refresh = () => {
+            this.patterns = undefined;
+            this.checkOpenDocuments();
+        };
+
+        this.disposables.push(
+            this.diagnostics,
+            watcher,
+            watcher.onDidCreate(refresh),
+            watcher.onDidChange(refresh),
+            watcher.onDidDelete(refresh),
+            vscode.workspace.onDidOpenTextDocument(document => this.check(document)),
+            vscode.workspace.onDidSaveTextDocument(document => this.check(document)),
+            vscode.workspace.onDidCloseTextDocument(document => this.clear(document.uri)),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('sharpCodeSearch.diagnostics.enabled')) {
+                    this.checkOpenDocuments();
+                }
+            })
+        );
+
+        this.checkOpenDocuments();
+    }
+
+    private get enabled(): boolean {
+        return vscode.workspace.getConfiguration('sharpCodeSearch').get<boolean>('diagnostics.enabled', true);
+    }
+
+    /**
+     * Re-check every open C# document (or clear everything when diagnostics are disabled)
+     */
+    private checkOpenDocuments(): void {
+        if (!this.enabled) {
+            this.cancelAll();
+            this.diagnostics.clear();
+            this.fixes.clear();
+            return;
+        }
+
+        for (const document of vscode.workspace.textDocuments) {
+            this.check(document);
+        }
+    }
+
+    /**
+     * Schedule a check of a document, replacing any check of it that is pending or has not finished yet
+     */
+    private check(document: vscode.TextDocument): void {
+        if (!this.enabled || document.languageId !== 'csharp' || document.uri.scheme !== 'file') {
+            return;
+        }
+
+        const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+        if (!folder) {
+            return;
+        }
+
+        const key = document.uri.toString();
+        clearTimeout(this.pending.get(key));
+        this.pending.set(key, setTimeout(() => {
+            this.pending.delete(key);
+            this.enqueue(document.uri, folder);
+        }, CHECK_DELAY_MS));
+    }
+
+    /**
+     * Queue a check of a document, cancelling the one that is still running
+     */
+    private enqueue(uri: vscode.Uri, folder: vscode.WorkspaceFolder): void {
+        const key = uri.toString();
+        this.running.get(key)?.cancel();
+        const cancellation = new vscode.CancellationTokenSource();
+        this.running.set(key, cancellation);
+
+        this.queue = this.queue
+            .then(() => this.runPatterns(uri, folder, cancellation.token))
+            .catch(error => console.error('Sharp Code Search: Pattern diagnostics failed:', error))
+            .finally(() => {
+                if (this.running.get(key) === cancellation) {
+                    this.running.delete(key);
+                }
+                cancellation.dispose();
+            });
+    }
+
+    private clear(uri: vscode.Uri): void {
+        clearTimeout(this.pending.get(uri.toString()));
+        this.pending.delete(uri.toString());
+        this.running.get(uri.toString())?.cancel();
+        this.diagnostics.delete(uri);
+        this.fixes.delete(uri.toString());
+    }
+
+    /**
+     * Replacements available for the diagnostics of a document, from its last check
+     */
+    getFixes(uri: vscode.Uri): readonly PatternFix[] {
+        return this.fixes.get(uri.toString()) ?? [];
+    }
+
+    /**
+     * Search a file with each pattern that applies to its workspace folder
+     */
+    private async runPatterns(uri: vscode.Uri, folder: vscode.WorkspaceFolder, token: vscode.CancellationToken): Promise<void> {
+        if (token.isCancellationRequested) {
+            return;
+        }
+
+        const patterns = (await this.getPatterns())
+            .filter(pattern => pattern.source === 'built-in' || pattern.folderUri === folder.uri.toString());
+
+        const diagnostics: vscode.Diagnostic[] = [];
+        const fixes: PatternFix[] = [];
+        for (const pattern of patterns) {
+            // Without the daemon every search would start a process that loads the whole workspace
+            if (!this.backendService.isDaemonAvailable) {
+                this.diagnostics.delete(uri);
+                this.fixes.delete(uri.toString());
+                return;
+            }
+
+            const options = { folder: folder.uri.fsPath, files: [uri.fsPath], constraints: pattern.constraints };
+            try {
+                // The search is scoped to this file, so every match belongs to it
+                if (pattern.replacePattern) {
+                    // Preview the replacements right away so quick fixes do not need another backend round trip
+                    const replacements = await this.backendService.searchAndReplace(
+                        pattern.pattern, pattern.replacePattern, options, { token });
+                    for (const replacement of replacements) {
+                        const range = getMatchRange(replacement.line, replacement.column, replacement.originalCode);
+                        diagnostics.push(this.createDiagnostic(pattern, range));
+                        fixes.push({ pattern, range, replacement });
+                    }
+                } else {
+                    const matches = await this.backendService.search(pattern.pattern, options, { token });
+                    diagnostics.push(...matches.map(match =>
+                        this.createDiagnostic(pattern, getMatchRange(match.line, match.column, match.matchedText))));
+                }
+            } catch (error: any) {
+                if (error instanceof vscode.CancellationError) {
+                    return;
+                }
+                // One broken pattern must not hide the results of the others
+                console.warn(`Sharp Code Search: Pattern "${pattern.name}" failed:`, error.message ?? error);
+            }
+        }
+
+        if (!token.isCancellationRequested) {
+            this.diagnostics.set(uri, diagnostics);
+            this.fixes.set(uri.toString(), fixes);
+        }
+    }
+
+    /**
+     * Catalog entries with a severity, cached until a catalog file changes
+     */
+    private getPatterns(): Promise<CatalogPattern[]> {
+        this.patterns ??= this.catalog.getPatterns()
+            .then(patterns => patterns.filter(pattern => pattern.severity !== undefined));
+        return this.patterns;
+    }
+
+    private createDiagnostic(pattern: CatalogPattern, range: vscode.Range): vscode.Diagnostic {
+        const diagnostic = new vscode.Diagnostic(
+            range,
+            pattern.description || pattern.name,
+            SEVERITY_MAP[pattern.severity ?? 'warning']
+        );
+        diagnostic.source = DIAGNOSTIC_SOURCE;
+        diagnostic.code = pattern.name;
+        return diagnostic;
+    }
+
+    private cancelAll(): void {
+        for (const timer of this.pending.values()) {
+            clearTimeout(timer);
+        }
+        this.pending.clear();
+        for (const cancellation of this.running.values()) {
+            cancellation.cancel();
+        }
+    }
+
+    dispose(): void {
+        this.cancelAll();
+        this.running.clear();
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * C# keywords (and contextual keywords common in expressions), which are never generalized.
+ * webview/patternEditor.js has a copy of this list for highlighting; a test checks that the two match.
+ */
+export const KEYWORDS: ReadonlySet<string> = new Set([
+    'abstract', 'as', 'base', 'bool', 'break', 'byte', 'case', 'catch', 'char', 'checked', 'class', 'const',
+    'continue', 'decimal', 'default', 'delegate', 'do', 'double', 'else', 'enum', 'event', 'explicit', 'extern',
+    'false', 'finally', 'fixed', 'float', 'for', 'foreach', 'goto', 'if', 'implicit', 'in', 'int', 'interface',
+    'internal', 'is', 'lock', 'long', 'namespace', 'new', 'null', 'object', 'operator', 'out', 'override', 'params',
+    'private', 'protected', 'public', 'readonly', 'ref', 'return', 'sbyte', 'sealed', 'short', 'sizeof', 'stackalloc',
+    'static', 'string', 'struct', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'uint', 'ulong', 'unchecked',
+    'unsafe', 'ushort', 'using', 'virtual', 'void', 'volatile', 'while',
+    'and', 'async', 'await', 'dynamic', 'get', 'init', 'let', 'nameof', 'nint', 'not', 'nuint', 'or', 'record',
+    'set', 'value', 'var', 'when', 'with', 'yield'
+]);
+
+/**
+ * Turn a piece of C# code into a pattern that matches it exactly. `$` starts a placeholder in patterns, so literals
+ * containing one (interpolated strings) become `$valueN$` placeholders and comments containing one are left out
+ */
+export function exactPattern(code: string): string {
+    let literalCount = 0;
+    let output = '';
+    let i = 0;
+
+    while (i < code.length) {
+        const rest = code.slice(i);
+
+        const comment = readComment(rest);
+        if (comment) {
+            output += withoutDollar(comment);
+            i += comment.length;
+            continue;
+        }
+
+        const literal = readLiteral(rest);
+        if (literal) {
+            output += literal.includes('$') ? `$value${++literalCount}$` : literal;
+            i += literal.length;
+            continue;
+        }
+
+        output += code[i];
+        i++;
+    }
+
+    return output;
+}
+
+/**
+ * Turn a piece of C# code into a search pattern that also matches similar code: local names become `$idN$`
+ * placeholders (the same name always maps to the same placeholder) and literals become `$valueN$` placeholders.
+ * Keywords, member names (after `.`), invoked names and PascalCase names (types, properties) are kept, so the
+ * pattern still describes the same API usage.
+ */
+export function generalizePattern(code: string): string {
+    const identifiers = new Map<string, string>();
+    let literalCount = 0;
+    let output = '';
+    let previous = '';
+    let i = 0;
+
+    while (i < code.length) {
+        const rest = code.slice(i);
+
+        // Comments are kept; they are not part of the syntax the backend matches
+        const comment = readComment(rest);
+        if (comment) {
+            output += withoutDollar(comment);
+            i += comment.length;
+            continue;
+        }
+
+        const literal = readLiteral(rest);
+        if (literal) {
+            output += `$value${++literalCount}$`;
+            previous = 'literal';
+            i += literal.length;
+            continue;
+        }
+
+        const identifier = /^@?[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+        if (identifier) {
+            const name = identifier[0];
+            const next = /^\s*(.)/.exec(code.slice(i + name.length))?.[1];
+            const keep = KEYWORDS.has(name)
+                || previous === '.'
+                || next === '('
+                || /^@?[A-Z]/.test(name);
+
+            if (keep) {
+                output += name;
+            } else {
+                if (!identifiers.has(name)) {
+                    identifiers.set(name, `$id${identifiers.size + 1}$`);
+                }
+                output += identifiers.get(name);
+            }
+            previous = 'identifier';
+            i += name.length;
+            continue;
+        }
+
+        const char = code[i];
+        output += char;
+        if (!/\s/.test(char)) {
+            previous = char;
+        }
+        i++;
+    }
+
+    return output;
+}
+
+/**
+ * Line or block comment at the start of the text
+ */
+function readComment(text: string): string | undefined {
+    return /^(\/\/[^\r\n]*|\/\*[\s\S]*?(\*\/|$))/.exec(text)?.[0];
+}
+
+/**
+ * A comment as it can appear in a pattern: comments are not matched, and a `$` in one would start a placeholder,
+ * so a comment containing one is left out
+ */
+function withoutDollar(comment: string): string {
+    return comment.includes('$') ? '' : comment;
+}
+
+/**
+ * Length-delimited literal at the start of the text: numbers, characters and (verbatim, interpolated or raw) strings
+ */
+function readLiteral(text: string): string | undefined {
+    const number = /^(0[xX][0-9A-Fa-f_]+|0[bB][01_]+|(\d[\d_]*)?\.?\d[\d_]*([eE][+-]?\d+)?)([uU][lL]?|[lL][uU]?|[fFdDmM])?(?![A-Za-z0-9_])/.exec(text);
+    if (number && number[0].length > 0 && /\d/.test(number[0])) {
+        return number[0];
+    }
+
+    const char = /^'(\\.|[^'\\])*'/.exec(text);
+    if (char) {
+        return char[0];
+    }
+
+    const raw = /^\$*("{3,})[\s\S]*?\1/.exec(text);
+    if (raw) {
+        return raw[0];
+    }
+
+    const prefix = /^(\$@|@\$|\$|@)?"/.exec(text);
+    if (!prefix) {
+        return undefined;
+    }
+
+    const verbatim = prefix[0].includes('@');
+    const interpolated = prefix[0].includes('$');
+    let depth = 0;
+    for (let i = prefix[0].length; i < text.length; i++) {
+        const char = text[i];
+        if (interpolated && char === '{') {
+            // {{ is an escaped brace, anything else opens a hole
+            if (depth === 0 && text[i + 1] === '{') {
+                i++;
+            } else {
+                depth++;
+            }
+        } else if (interpolated && char === '}' && depth > 0) {
+            depth--;
+        } else if (depth > 0) {
+            continue;
+        } else if (!verbatim && char === '\\') {
+            i++;
+        } else if (char === '"') {
+            if (verbatim && text[i + 1] === '"') {
+                i++;
+            } else {
+                return text.slice(0, i + 1);
+            }
+        }
+    }
+
+    // Unterminated: the rest of the selection is the literal
+    return text;
+}
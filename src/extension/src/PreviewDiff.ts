@@ -0,0 +1,83 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { ReplacementResult } from './BackendService';
+import { resolveReplacementFile, rewriteDocument } from './ReplacementEdit';
+
+/**
+ * Scheme of the read-only documents holding a file's previewed rewrite
+ */
+export const PREVIEW_SCHEME = 'sharpcodesearch-preview';
+
+/**
+ * Internal command opening the diff of a file against its previewed replacements
+ */
+export const SHOW_REPLACEMENT_DIFF_COMMAND = 'sharpCodeSearch.showReplacementDiff';
+
+/**
+ * Serves the rewritten text of previewed files under the sharpcodesearch-preview: scheme
+ */
+class PreviewDocumentProvider implements vscode.TextDocumentContentProvider {
+    private readonly contents = new Map<string, string>();
+    private readonly _onDidChange = new vscode.EventEmitter<vscode.Uri>();
+    public readonly onDidChange = this._onDidChange.event;
+
+    provideTextDocumentContent(uri: vscode.Uri): string {
+        return this.contents.get(uri.toString()) ?? '';
+    }
+
+    /**
+     * Store the rewritten text of a file and return the preview document's URI
+     */
+    update(file: vscode.Uri, text: string): vscode.Uri {
+        // Keep the path so the preview gets the C# language mode of the original file
+        const uri = file.with({ scheme: PREVIEW_SCHEME });
+        this.contents.set(uri.toString(), text);
+        this._onDidChange.fire(uri);
+        return uri;
+    }
+
+    dispose(): void {
+        this._onDidChange.dispose();
+        this.contents.clear();
+    }
+}
+
+/**
+ * Open VS Code's diff editor comparing a file with the result of applying the given replacements to it
+ */
+async function showReplacementDiff(provider: PreviewDocumentProvider, replacements: ReplacementResult[]): Promise<void> {
+    if (replacements.length === 0) {
+        return;
+    }
+
+    const file = vscode.Uri.file(resolveReplacementFile(replacements[0]));
+    const document = await vscode.workspace.openTextDocument(file);
+    const rewritten = rewriteDocument(document, replacements);
+    if (rewritten === undefined) {
+        throw new Error(`${path.basename(file.fsPath)} changed since the preview. Preview again to see its diff.`);
+    }
+
+    const preview = provider.update(file, rewritten);
+    await vscode.commands.executeCommand(
+        'vscode.diff',
+        file,
+        preview,
+        `${path.basename(file.fsPath)} ↔ Replacement Preview`,
+        { preview: true }
+    );
+}
+
+/**
+ * Register the preview document provider and the command opening replacement diffs
+ */
+export function registerPreviewDiff(): vscode.Disposable {
+    const provider = new PreviewDocumentProvider();
+
+    return vscode.Disposable.from(
+        provider,
+        vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, provider),
+        vscode.commands.registerCommand(SHOW_REPLACEMENT_DIFF_COMMAND, (replacements: ReplacementResult[]) =>
+            showReplacementDiff(provider, replacements)
+        )
+    );
+}
@@ -0,0 +1,141 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { ApplicationResult, ReplacementResult } from './BackendService';
+
+/**
+ * Edit built from previewed replacements, with the outcome for each file
+ */
+export interface ReplacementEdit {
+    edit: vscode.WorkspaceEdit;
+    results: ApplicationResult[];
+}
+
+/**
+ * Hash of a document's text, comparable with ReplacementResult.contentHash
+ */
+export function computeContentHash(text: string): string {
+    return createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Absolute path of the file a replacement belongs to
+ */
+export function resolveReplacementFile(replacement: ReplacementResult): string {
+    return path.isAbsolute(replacement.filePath) || !replacement.root
+        ? replacement.filePath
+        : path.join(replacement.root, replacement.filePath);
+}
+
+/**
+ * Build a single WorkspaceEdit from previewed replacements.
+ * Edits go through the open document (including unsaved changes) rather than the file on disk.
+ * A file that changed since the preview is left out and reported as skipped, so nothing is written
+ * that the user has not seen.
+ */
+export async function createReplacementEdit(replacements: ReplacementResult[], label: string): Promise<ReplacementEdit> {
+    const edit = new vscode.WorkspaceEdit();
+    const results: ApplicationResult[] = [];
+    const metadata: vscode.WorkspaceEditEntryMetadata = { label, needsConfirmation: true };
+
+    const byFile = new Map<string, ReplacementResult[]>();
+    for (const replacement of replacements) {
+        const file = resolveReplacementFile(replacement);
+        byFile.set(file, [...(byFile.get(file) ?? []), replacement]);
+    }
+
+    for (const [file, fileReplacements] of byFile) {
+        const { filePath, root } = fileReplacements[0];
+
+        let document: vscode.TextDocument;
+        try {
+            document = await vscode.workspace.openTextDocument(vscode.Uri.file(file));
+        } catch (error: any) {
+            results.push({ filePath, root, replacementsApplied: 0, success: false, error: error.message || String(error) });
+            continue;
+        }
+
+        const previewHash = fileReplacements.find(replacement => replacement.contentHash)?.contentHash;
+        const changed = previewHash !== undefined && previewHash !== computeContentHash(document.getText());
+
+        const edits = resolveEdits(document, fileReplacements);
+        if (changed || !edits) {
+            results.push({
+                filePath,
+                root,
+                replacementsApplied: 0,
+                success: false,
+                skipped: true,
+                error: 'Changed since the preview; preview again to update it'
+            });
+            continue;
+        }
+
+        for (const { replacement, range } of edits) {
+            edit.replace(document.uri, range, replacement.replacementCode, metadata);
+        }
+
+        results.push({ filePath, root, replacementsApplied: edits.length, success: true });
+    }
+
+    return { edit, results };
+}
+
+/**
+ * Text of a document with replacements applied, or undefined when the document no longer matches them
+ */
+export function rewriteDocument(document: vscode.TextDocument, replacements: ReplacementResult[]): string | undefined {
+    const edits = resolveEdits(document, replacements);
+    if (!edits) {
+        return undefined;
+    }
+
+    let text = document.getText();
+    // Replace from the end so earlier offsets stay valid
+    for (const { replacement, range } of [...edits].reverse()) {
+        text = text.slice(0, document.offsetAt(range.start)) + replacement.replacementCode + text.slice(document.offsetAt(range.end));
+    }
+    return text;
+}
+
+/**
+ * Locate replacements in a document, in document order.
+ * Nested matches overlap their parent; only the outermost one is kept.
+ * Returns undefined when any replacement no longer matches the document text.
+ */
+function resolveEdits(document: vscode.TextDocument, replacements: ReplacementResult[]): { replacement: ReplacementResult; range: vscode.Range }[] | undefined {
+    const located: { replacement: ReplacementResult; range: vscode.Range }[] = [];
+    for (const replacement of replacements) {
+        const range = getReplacementRange(document, replacement);
+        if (!range) {
+            return undefined;
+        }
+        located.push({ replacement, range });
+    }
+
+    located.sort((a, b) => a.range.start.compareTo(b.range.start));
+
+    const edits: typeof located = [];
+    for (const edit of located) {
+        const previous = edits[edits.length - 1];
+        if (!previous || !edit.range.start.isBefore(previous.range.end)) {
+            edits.push(edit);
+        }
+    }
+    return edits;
+}
+
+/**
+ * Range of a replacement in the document, or undefined when the document text there is not the previewed code
+ */
+function getReplacementRange(document: vscode.TextDocument, replacement: ReplacementResult): vscode.Range | undefined {
+    let range: vscode.Range;
+    if (replacement.startPosition !== undefined && replacement.endPosition !== undefined) {
+        range = new vscode.Range(document.positionAt(replacement.startPosition), document.positionAt(replacement.endPosition));
+    } else {
+        const start = new vscode.Position(Math.max(0, replacement.line - 1), Math.max(0, replacement.column - 1));
+        range = new vscode.Range(start, document.positionAt(document.offsetAt(start) + replacement.originalCode.length));
+    }
+
+    return document.getText(range) === replacement.originalCode ? range : undefined;
+}
@@ -0,0 +1,210 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { SearchResult } from './BackendService';
+import { resolveMatchFile } from './WorkspaceFiles';
+
+/**
+ * File formats search results can be exported to
+ */
+export type ExportFormat = 'sarif' | 'csv' | 'json';
+
+const FORMATS: { format: ExportFormat; label: string; description: string; filters: Record<string, string[]> }[] = [
+    { format: 'sarif', label: 'SARIF 2.1', description: 'Static analysis results for CI and code scanning', filters: { 'SARIF': ['sarif', 'json'] } },
+    { format: 'csv', label: 'CSV', description: 'One row per match, for spreadsheets', filters: { 'CSV': ['csv'] } },
+    { format: 'json', label: 'JSON', description: 'The results as reported by the backend', filters: { 'JSON': ['json'] } }
+];
+
+/**
+ * Code on a single line, for messages
+ */
+function toSingleLine(code: string): string {
+    return code.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Rule id of a pattern: a hash of its text on a single line, so the same pattern always maps to the same rule
+ * and the id stays a plain identifier whatever characters the pattern uses
+ */
+export function getRuleId(pattern: string): string {
+    return 'SCS' + createHash('sha256').update(toSingleLine(pattern), 'utf8').digest('hex').slice(0, 8).toUpperCase();
+}
+
+/**
+ * SARIF 2.1.0 log with one run, one rule for the pattern and one result per match.
+ * Files found in a workspace folder are relative to a ROOTn base id, so the log does not depend on where the workspace lives.
+ * Regions come from the matches' character offsets; `ranges` holds their line and column in the file, when it could be read.
+ */
+export function toSarif(pattern: string, results: SearchResult[], ranges: ReadonlyMap<SearchResult, vscode.Range> = new Map()): object {
+    const ruleId = getRuleId(pattern);
+    const roots = [...new Set(results.map(result => result.root).filter((root): root is string => !!root))];
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'Sharp Code Search',
+                    rules: [{
+                        id: ruleId,
+                        shortDescription: { text: `Matches of ${toSingleLine(pattern)}` },
+                        defaultConfiguration: { level: 'note' }
+                    }]
+                }
+            },
+            originalUriBaseIds: Object.fromEntries(roots.map((root, index) =>
+                [`ROOT${index}`, { uri: vscode.Uri.file(root).toString() + '/' }])),
+            results: results.map(result => {
+                const relative = result.root && !path.isAbsolute(result.file);
+
+                return {
+                    ruleId,
+                    ruleIndex: 0,
+                    level: 'note',
+                    message: { text: `Matched ${toSingleLine(result.matchedText)}` },
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: relative
+                                ? { uri: result.file.split(path.sep).join('/'), uriBaseId: `ROOT${roots.indexOf(result.root!)}` }
+                                : { uri: vscode.Uri.file(result.file).toString() },
+                            region: createRegion(result, ranges.get(result))
+                        }
+                    }],
+                    properties: result.placeholders && Object.keys(result.placeholders).length > 0
+                        ? { placeholders: result.placeholders }
+                        : undefined
+                };
+            })
+        }]
+    };
+}
+
+/**
+ * SARIF region of a match: its character offsets, with the line and column of both ends when the file could be read
+ * (otherwise only the start, which the backend reports exactly)
+ */
+function createRegion(result: SearchResult, range: vscode.Range | undefined): object {
+    const lines = range
+        ? {
+            startLine: range.start.line + 1,
+            startColumn: range.start.character + 1,
+            endLine: range.end.line + 1,
+            endColumn: range.end.character + 1
+        }
+        : { startLine: result.line, startColumn: result.column };
+    const offsets = result.startPosition !== undefined && result.endPosition !== undefined
+        ? { charOffset: result.startPosition, charLength: result.endPosition - result.startPosition }
+        : {};
+
+    return { ...lines, ...offsets, snippet: { text: result.matchedText } };
+}
+
+/**
+ * Range of each match in its file, from the match's character offsets.
+ * Files are read as open editors show them, which is the text the search ran on.
+ */
+async function getMatchRanges(results: SearchResult[]): Promise<Map<SearchResult, vscode.Range>> {
+    const workspaceFolders = vscode.workspace.workspaceFolders ?? [];
+    const documents = new Map<string, Promise<vscode.TextDocument | undefined>>();
+    const ranges = new Map<SearchResult, vscode.Range>();
+
+    for (const result of results) {
+        const file = resolveMatchFile(result.file, result.root, workspaceFolders);
+        if (!file || result.startPosition === undefined || result.endPosition === undefined) {
+            continue;
+        }
+
+        if (!documents.has(file)) {
+            documents.set(file, Promise.resolve(vscode.workspace.openTextDocument(vscode.Uri.file(file))).catch(() => undefined));
+        }
+        const document = await documents.get(file);
+        if (document) {
+            ranges.set(result, new vscode.Range(document.positionAt(result.startPosition), document.positionAt(result.endPosition)));
+        }
+    }
+
+    return ranges;
+}
+
+/**
+ * CSV with a header row and one row per match; placeholders are written as name=value pairs
+ */
+export function toCsv(results: SearchResult[]): string {
+    const rows = [['Folder', 'File', 'Line', 'Column', 'Matched Text', 'Placeholders']];
+    for (const result of results) {
+        rows.push([
+            result.root ?? '',
+            result.file,
+            String(result.line),
+            String(result.column),
+            result.matchedText,
+            Object.entries(result.placeholders ?? {}).map(([name, value]) => `${name}=${value}`).join('; ')
+        ]);
+    }
+
+    return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a field that contains a separator, quote or line break (RFC 4180)
+ */
+function escapeCsvField(value: string): string {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Text of an export in the given format
+ */
+export async function formatResults(format: ExportFormat, pattern: string, results: SearchResult[]): Promise<string> {
+    switch (format) {
+        case 'sarif':
+            return JSON.stringify(toSarif(pattern, results, await getMatchRanges(results)), null, 2) + '\n';
+        case 'csv':
+            return toCsv(results);
+        case 'json':
+            return JSON.stringify(results, null, 2) + '\n';
+    }
+}
+
+/**
+ * Ask for a format and a file, then write the results to it
+ */
+export async function exportResults(pattern: string, results: SearchResult[]): Promise<void> {
+    if (results.length === 0) {
+        vscode.window.showInformationMessage('Sharp Code Search: No search results to export');
+        return;
+    }
+
+    const choice = await vscode.window.showQuickPick(FORMATS, { title: 'Export Results', placeHolder: 'File format' });
+    if (!choice) {
+        return;
+    }
+
+    const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+    const fileName = `sharp-code-search-results.${choice.format}`;
+    const uri = await vscode.window.showSaveDialog({
+        title: 'Export Results',
+        defaultUri: folder ? vscode.Uri.joinPath(folder, fileName) : undefined,
+        filters: choice.filters,
+        saveLabel: 'Export'
+    });
+    if (!uri) {
+        return;
+    }
+
+    try {
+        await vscode.workspace.fs.writeFile(uri, Buffer.from(await formatResults(choice.format, pattern, results), 'utf8'));
+    } catch (error: any) {
+        vscode.window.showErrorMessage(`Failed to export results: ${error.message || String(error)}`);
+        return;
+    }
+
+    const open = await vscode.window.showInformationMessage(
+        `Exported ${results.length} match${results.length === 1 ? '' : 'es'} to ${vscode.workspace.asRelativePath(uri)}`,
+        'Open File'
+    );
+    if (open) {
+        await vscode.window.showTextDocument(uri);
+    }
+}
@@ -0,0 +1,352 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { BackendService, SearchResult } from './BackendService';
+import { HIGHLIGHT_MATCHES_COMMAND } from './MatchHighlights';
+import { exportResults } from './ResultExport';
+import { findProjectFiles, navigateToMatch, resolveMatchFile } from './WorkspaceFiles';
+
+/**
+ * Id of the results view in the Sharp Code Search activity bar container
+ */
+export const RESULTS_VIEW_ID = 'sharpCodeSearch.results';
+
+/**
+ * Internal command replacing the results shown in the results view: (pattern, results)
+ */
+export const SHOW_SEARCH_RESULTS_COMMAND = 'sharpCodeSearch.showSearchResults';
+
+/**
+ * Internal command told which result (by its index in the search's results) navigation moved to,
+ * so the search panel can select it too
+ */
+export const SELECT_RESULT_COMMAND = 'sharpCodeSearch.selectResult';
+
+/**
+ * Internal command run when a match in the results view is selected
+ */
+const OPEN_RESULT_COMMAND = 'sharpCodeSearch.openResult';
+
+/**
+ * Label of the group holding files that are not part of any project
+ */
+const NO_PROJECT = '(no project)';
+
+interface ProjectNode {
+    kind: 'project';
+    name: string;
+    /** fsPath of the .csproj file, undefined for the "(no project)" group */
+    projectFile?: string;
+    files: FileNode[];
+}
+
+interface FileNode {
+    kind: 'file';
+    project: ProjectNode;
+    /** Absolute path of the file */
+    filePath: string;
+    matches: MatchNode[];
+}
+
+interface MatchNode {
+    kind: 'match';
+    file: FileNode;
+    result: SearchResult;
+    /** Position of the result in the search's results, as numbered by the search panel */
+    index: number;
+}
+
+type ResultNode = ProjectNode | FileNode | MatchNode;
+
+/**
+ * Shows the matches of the last search grouped by project and file.
+ * Results are kept here rather than in the search panel, so they survive closing it.
+ */
+export class SearchResultsProvider implements vscode.TreeDataProvider<ResultNode> {
+    private projects: ProjectNode[] = [];
+    private matches: MatchNode[] = [];
+    private readonly _onDidChangeTreeData = new vscode.EventEmitter<void>();
+    public readonly onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+    constructor(private readonly backendService: BackendService) { }
+
+    /**
+     * Number of matches and files currently shown
+     */
+    get counts(): { matches: number; files: number } {
+        const files = this.projects.flatMap(project => project.files);
+        return {
+            matches: files.reduce((total, file) => total + file.matches.length, 0),
+            files: files.length
+        };
+    }
+
+    /**
+     * Every match, in the order shown: by project, file and position
+     */
+    get orderedMatches(): readonly MatchNode[] {
+        return this.matches;
+    }
+
+    /**
+     * Replace the shown results, assigning each file to the innermost project containing it
+     */
+    async setResults(results: SearchResult[]): Promise<void> {
+        const projectFiles = results.length > 0 ? (await findProjectFiles()).map(uri => uri.fsPath) : [];
+        this.projects = groupResults(results, projectFiles, this.backendService.getWorkspaceFolders());
+        this.matches = this.projects.flatMap(project => project.files.flatMap(file => file.matches));
+        this._onDidChangeTreeData.fire();
+    }
+
+    getChildren(element?: ResultNode): ResultNode[] {
+        if (!element) {
+            return this.projects;
+        }
+        switch (element.kind) {
+            case 'project':
+                return element.files;
+            case 'file':
+                return element.matches;
+            default:
+                return [];
+        }
+    }
+
+    getParent(element: ResultNode): ResultNode | undefined {
+        switch (element.kind) {
+            case 'file':
+                return element.project;
+            case 'match':
+                return element.file;
+            default:
+                return undefined;
+        }
+    }
+
+    getTreeItem(element: ResultNode): vscode.TreeItem {
+        switch (element.kind) {
+            case 'project': {
+                const item = new vscode.TreeItem(element.name, vscode.TreeItemCollapsibleState.Expanded);
+                const matchCount = element.files.reduce((total, file) => total + file.matches.length, 0);
+                item.description = `${formatCount(matchCount, 'match', 'matches')} in ${formatCount(element.files.length, 'file', 'files')}`;
+                item.iconPath = new vscode.ThemeIcon(element.projectFile ? 'project' : 'folder');
+                item.tooltip = element.projectFile ? vscode.workspace.asRelativePath(element.projectFile) : undefined;
+                item.contextValue = 'project';
+                return item;
+            }
+            case 'file': {
+                const uri = vscode.Uri.file(element.filePath);
+                const item = new vscode.TreeItem(uri, vscode.TreeItemCollapsibleState.Expanded);
+                // Label and icon come from the file itself
+                item.description = String(element.matches.length);
+                item.tooltip = vscode.workspace.asRelativePath(uri);
+                item.iconPath = vscode.ThemeIcon.File;
+                item.contextValue = 'file';
+                return item;
+            }
+            case 'match': {
+                const { result } = element;
+                const item = new vscode.TreeItem(formatMatch(result.matchedText), vscode.TreeItemCollapsibleState.None);
+                item.description = `${result.line}:${result.column}`;
+                item.tooltip = result.matchedText;
+                item.contextValue = 'match';
+                item.command = {
+                    command: OPEN_RESULT_COMMAND,
+                    title: 'Go to Match',
+                    arguments: [element]
+                };
+                return item;
+            }
+        }
+    }
+
+    dispose(): void {
+        this._onDidChangeTreeData.dispose();
+    }
+}
+
+/**
+ * Group results by the innermost project (of the given .csproj fsPaths) containing their file, then by file.
+ * Named projects are sorted alphabetically with the "(no project)" group last, files by path and matches by position.
+ */
+export function groupResults(
+    results: SearchResult[],
+    projectFiles: string[],
+    workspaceFolders: readonly vscode.WorkspaceFolder[]
+): ProjectNode[] {
+    // Deepest project directories first, so nested projects win over their parents
+    const owners = projectFiles
+        .map(projectFile => ({ projectFile, directory: path.dirname(projectFile) }))
+        .sort((a, b) => b.directory.length - a.directory.length);
+
+    const projects = new Map<string, ProjectNode>();
+    const files = new Map<string, FileNode>();
+
+    results.forEach((result, index) => {
+        const filePath = resolveMatchFile(result.file, result.root, workspaceFolders) ?? result.file;
+
+        let file = files.get(filePath);
+        if (!file) {
+            const owner = owners.find(project => isInside(filePath, project.directory));
+            const key = owner?.projectFile ?? NO_PROJECT;
+
+            let project = projects.get(key);
+            if (!project) {
+                project = {
+                    kind: 'project',
+                    name: owner ? path.basename(owner.projectFile, '.csproj') : NO_PROJECT,
+                    projectFile: owner?.projectFile,
+                    files: []
+                };
+                projects.set(key, project);
+            }
+
+            file = { kind: 'file', project, filePath, matches: [] };
+            files.set(filePath, file);
+            project.files.push(file);
+        }
+
+        file.matches.push({ kind: 'match', file, result, index });
+    });
+
+    for (const project of projects.values()) {
+        project.files.sort((a, b) => a.filePath.localeCompare(b.filePath));
+        for (const file of project.files) {
+            file.matches.sort((a, b) => a.result.line - b.result.line || a.result.column - b.result.column);
+        }
+    }
+
+    // Named projects alphabetically, loose files last
+    return [...projects.values()].sort((a, b) =>
+        Number(!a.projectFile) - Number(!b.projectFile) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Whether a file is inside a directory (or one of its subdirectories)
+ */
+function isInside(filePath: string, directory: string): boolean {
+    const relative = path.relative(directory, filePath);
+    return relative.length > 0 && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function formatCount(count: number, singular: string, plural: string): string {
+    return `${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Matched code on a single line, so multi-line matches fit in the tree
+ */
+function formatMatch(text: string): string {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Index of the match a step goes to from the one at position, wrapping around at either end.
+ * Without a position (-1), stepping forward goes to the first match and stepping back to the last.
+ */
+export function getStepTarget(position: number, delta: 1 | -1, count: number): number {
+    return position < 0
+        ? (delta > 0 ? 0 : count - 1)
+        : (position + delta + count) % count;
+}
+
+/**
+ * Position in the ordered matches to step from when no match has been opened yet, so stepping goes to the match
+ * after (or before) the cursor: the index of the last match at or before the cursor when stepping forward, or of the
+ * first match at or after it when stepping back. Possibly one past either end of the file's matches; -1 when the
+ * file has no matches.
+ */
+export function findCursorPosition(matches: readonly MatchNode[], delta: 1 | -1, filePath: string, cursor: vscode.Position): number {
+    const first = matches.findIndex(match => match.file.filePath === filePath);
+    if (first < 0) {
+        return -1;
+    }
+
+    let last = first;
+    while (last + 1 < matches.length && matches[last + 1].file.filePath === filePath) {
+        last++;
+    }
+
+    const startOf = (match: MatchNode) =>
+        new vscode.Position(Math.max(0, match.result.line - 1), Math.max(0, match.result.column - 1));
+
+    if (delta > 0) {
+        let position = first - 1;
+        while (position < last && startOf(matches[position + 1]).isBeforeOrEqual(cursor)) {
+            position++;
+        }
+        return position;
+    }
+
+    let position = last + 1;
+    while (position > first && startOf(matches[position - 1]).isAfterOrEqual(cursor)) {
+        position--;
+    }
+    return position;
+}
+
+/**
+ * Register the results view and the commands filling, clearing, exporting and stepping through it
+ */
+export function registerResultsTree(backendService: BackendService): vscode.Disposable {
+    const provider = new SearchResultsProvider(backendService);
+    const view = vscode.window.createTreeView(RESULTS_VIEW_ID, {
+        treeDataProvider: provider,
+        showCollapseAll: true
+    });
+
+    // Match that next/previous step from
+    let current: MatchNode | undefined;
+    // The search the results came from, for exporting them
+    let lastSearch: { pattern: string; results: SearchResult[] } = { pattern: '', results: [] };
+
+    const showResults = async (pattern: string | undefined, results: SearchResult[]) => {
+        current = undefined;
+        lastSearch = { pattern: pattern ?? '', results };
+        await provider.setResults(results);
+        const { matches, files } = provider.counts;
+        view.message = pattern !== undefined && matches > 0
+            ? `${formatCount(matches, 'match', 'matches')} in ${formatCount(files, 'file', 'files')} for ${formatMatch(pattern)}`
+            : undefined;
+        vscode.commands.executeCommand('setContext', 'sharpCodeSearch.hasResults', matches > 0);
+    };
+
+    const openMatch = async (match: MatchNode) => {
+        current = match;
+        const { result } = match;
+        await navigateToMatch(result.file, result.line, result.column, result.root, backendService.getWorkspaceFolders());
+        vscode.commands.executeCommand(SELECT_RESULT_COMMAND, match.index);
+        if (view.visible) {
+            await view.reveal(match, { select: true, focus: false });
+        }
+    };
+
+    // Step through the matches in the order of the tree, wrapping around at either end
+    const step = (delta: 1 | -1) => {
+        const matches = provider.orderedMatches;
+        if (matches.length === 0) {
+            vscode.window.showInformationMessage('Sharp Code Search: No search results to navigate');
+            return;
+        }
+
+        let position = current ? matches.indexOf(current) : -1;
+        const editor = vscode.window.activeTextEditor;
+        if (position < 0 && editor) {
+            position = findCursorPosition(matches, delta, editor.document.uri.fsPath, editor.selection.active);
+        }
+        return openMatch(matches[getStepTarget(position, delta, matches.length)]);
+    };
+
+    return vscode.Disposable.from(
+        provider,
+        view,
+        vscode.commands.registerCommand(SHOW_SEARCH_RESULTS_COMMAND, showResults),
+        vscode.commands.registerCommand('sharpCodeSearch.clearResults', () => {
+            vscode.commands.executeCommand(HIGHLIGHT_MATCHES_COMMAND, []);
+            return showResults(undefined, []);
+        }),
+        vscode.commands.registerCommand('sharpCodeSearch.exportResults', () => exportResults(lastSearch.pattern, lastSearch.results)),
+        vscode.commands.registerCommand('sharpCodeSearch.nextMatch', () => step(1)),
+        vscode.commands.registerCommand('sharpCodeSearch.previousMatch', () => step(-1)),
+        vscode.commands.registerCommand(OPEN_RESULT_COMMAND, openMatch)
+    );
+}
@@ -1,15 +1,30 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
-import { BackendService, SearchResult } from './BackendService';
+import { BackendService, ReplacementResult, RequestOptions, SearchOptions, SearchResult } from './BackendService';
+import { createReplacementEdit } from './ReplacementEdit';
+import { SHOW_REPLACEMENT_DIFF_COMMAND } from './PreviewDiff';
+import { PatternDraft, promptSavePattern } from './PatternCatalog';
+import { findProjectFiles, navigateToMatch } from './WorkspaceFiles';
+import { SELECT_RESULT_COMMAND, SHOW_SEARCH_RESULTS_COMMAND } from './ResultsTree';
+import { HIGHLIGHT_MATCHES_COMMAND } from './MatchHighlights';
+import { SearchHistory } from './SearchHistory';
 
 export class SearchPanel {
     public static currentPanel: SearchPanel | undefined;
     private readonly _panel: vscode.WebviewPanel;
     private readonly _extensionUri: vscode.Uri;
     private readonly _backendService: BackendService;
+    private readonly _history: SearchHistory;
     private _disposables: vscode.Disposable[] = [];
-
-    public static createOrShow(extensionUri: vscode.Uri, backendService: BackendService) {
+    private _cancellation: vscode.CancellationTokenSource | undefined;
+    private _validation: vscode.CancellationTokenSource | undefined;
+    // The webview takes focus while it is used, so remember the editor the user was in
+    private _lastEditor: vscode.TextEditor | undefined = vscode.window.activeTextEditor;
+    // Messages sent before the webview script has loaded are queued until it reports 'ready'
+    private _ready = false;
+    private _pendingMessages: any[] = [];
+
+    public static createOrShow(context: vscode.ExtensionContext, backendService: BackendService) {
         const column = vscode.window.activeTextEditor
             ? vscode.window.activeTextEditor.viewColumn
             : undefined;
@@ -26,22 +41,37 @@ export class SearchPanel {
             'Sharp Code Search',
             column || vscode.ViewColumn.One,
             {
-                enableScripts: true,
-                retainContextWhenHidden: true,
-                localResourceRoots: [
-                    vscode.Uri.joinPath(extensionUri, 'out'),
-                    vscode.Uri.joinPath(extensionUri, 'webview')
-                ]
+                ...SearchPanel._getWebviewOptions(context.extensionUri),
+                retainContextWhenHidden: true
             }
         );
 
-        SearchPanel.currentPanel = new SearchPanel(panel, extensionUri, backendService);
+        SearchPanel.currentPanel = new SearchPanel(panel, context, backendService);
+    }
+
+    /**
+     * Take over a panel restored by VS Code after a window reload; the webview restores its own form state
+     */
+    public static revive(panel: vscode.WebviewPanel, context: vscode.ExtensionContext, backendService: BackendService) {
+        panel.webview.options = SearchPanel._getWebviewOptions(context.extensionUri);
+        SearchPanel.currentPanel = new SearchPanel(panel, context, backendService);
+    }
+
+    private static _getWebviewOptions(extensionUri: vscode.Uri): vscode.WebviewOptions {
+        return {
+            enableScripts: true,
+            localResourceRoots: [
+                vscode.Uri.joinPath(extensionUri, 'out'),
+                vscode.Uri.joinPath(extensionUri, 'webview')
+            ]
+        };
     }
 
-    private constructor(panel: vscode.WebviewPanel, extensionUri: vscode.Uri, backendService: BackendService) {
+    private constructor(panel: vscode.WebviewPanel, context: vscode.ExtensionContext, backendService: BackendService) {
         this._panel = panel;
-        this._extensionUri = extensionUri;
+        this._extensionUri = context.extensionUri;
         this._backendService = backendService;
+        this._history = new SearchHistory(context.workspaceState);
 
         // Set the webview's initial html content
         this._update();
@@ -58,6 +88,133 @@ export class SearchPanel {
             null,
             this._disposables
         );
+
+        // Keep the webview's folder and project pickers in sync with the workspace
+        this._backendService.onDidChangeWorkspaceFolders(() => {
+            this._postWorkspaceFolders();
+            this._postProjects();
+        }, null, this._disposables);
+
+        vscode.window.onDidChangeActiveTextEditor(editor => {
+            if (editor) {
+                this._lastEditor = editor;
+            }
+        }, null, this._disposables);
+
+        const projectWatcher = vscode.workspace.createFileSystemWatcher('**/*.csproj', false, true, false);
+        projectWatcher.onDidCreate(() => this._postProjects(), null, this._disposables);
+        projectWatcher.onDidDelete(() => this._postProjects(), null, this._disposables);
+        this._disposables.push(projectWatcher);
+    }
+
+    /**
+     * Send the .csproj files of the workspace to the webview's project picker
+     */
+    private async _postProjects() {
+        const uris = await findProjectFiles();
+        const projects = uris
+            .map(uri => ({
+                name: vscode.workspace.asRelativePath(uri, this._backendService.getWorkspaceFolders().length > 1),
+                path: uri.fsPath
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        this._panel.webview.postMessage({ type: 'projects', projects });
+    }
+
+    /**
+     * Turn the webview's scope choice (current file, open editors, selection) into file and line filters
+     */
+    private _resolveScope(options: any): SearchOptions {
+        const { scope, ...searchOptions } = options ?? {};
+        const editor = this._lastEditor && !this._lastEditor.document.isClosed ? this._lastEditor : undefined;
+
+        switch (scope) {
+            case 'currentFile':
+            case 'selection': {
+                if (!editor || editor.document.uri.scheme !== 'file') {
+                    throw new Error('Open a C# file to search in the current file or selection.');
+                }
+
+                const resolved: SearchOptions = { ...searchOptions, files: [editor.document.uri.fsPath] };
+                if (scope === 'selection') {
+                    if (editor.selection.isEmpty) {
+                        throw new Error('Select the code to search in first.');
+                    }
+                    resolved.startLine = editor.selection.start.line + 1;
+                    resolved.endLine = editor.selection.end.line + 1;
+                }
+                return resolved;
+            }
+            case 'openEditors': {
+                const files = vscode.window.tabGroups.all
+                    .flatMap(group => group.tabs)
+                    .map(tab => tab.input)
+                    .filter((input): input is vscode.TabInputText => input instanceof vscode.TabInputText)
+                    .filter(input => input.uri.scheme === 'file' && input.uri.fsPath.endsWith('.cs'))
+                    .map(input => input.uri.fsPath);
+
+                if (files.length === 0) {
+                    throw new Error('There are no open C# editors to search in.');
+                }
+                return { ...searchOptions, files: [...new Set(files)] };
+            }
+            default:
+                return searchOptions;
+        }
+    }
+
+    /**
+     * Fill the pattern inputs (and placeholder constraints), optionally starting the search right away
+     */
+    public loadPattern(draft: PatternDraft, run: boolean) {
+        this._panel.reveal();
+        this._postWhenReady({
+            type: 'loadPattern',
+            pattern: draft.pattern,
+            replacePattern: draft.replacePattern ?? '',
+            constraints: draft.constraints ?? {},
+            run
+        });
+    }
+
+    /**
+     * Limit the search to a workspace folder (fsPath) and include globs relative to it
+     */
+    public setScope(folder: string, include: string[]) {
+        this._panel.reveal();
+        this._postWhenReady({ type: 'setScope', folder, include });
+    }
+
+    /**
+     * Select a search result (by its index in the results) in the webview's list
+     */
+    public selectResult(index: number) {
+        this._postWhenReady({ type: 'selectResult', index });
+    }
+
+    /**
+     * Post a message once the webview is able to receive it
+     */
+    private _postWhenReady(message: any) {
+        if (this._ready) {
+            this._panel.webview.postMessage(message);
+        } else {
+            this._pendingMessages.push(message);
+        }
+    }
+
+    /**
+     * Send the open workspace folders to the webview
+     */
+    private _postWorkspaceFolders() {
+        this._panel.webview.postMessage({
+            type: 'workspaceFolders',
+            folders: this._backendService.getWorkspaceFolders().map(folder => ({
+                name: folder.name,
+                path: folder.uri.fsPath
+            }))
+        });
     }
 
     /**
@@ -65,18 +222,134 @@ export class SearchPanel {
      */
     private async _handleMessage(message: any) {
         switch (message.type) {
+            case 'ready':
+                this._ready = true;
+                this._postWorkspaceFolders();
+                this._postHistory();
+                for (const pending of this._pendingMessages.splice(0)) {
+                    this._panel.webview.postMessage(pending);
+                }
+                await this._postProjects();
+                break;
             case 'search':
+                await this._addToHistory(message.pattern, message.replacePattern, message.options);
                 await this._handleSearch(message.pattern, message.options);
                 break;
             case 'preview':
+                await this._addToHistory(message.pattern, message.replacePattern, message.options);
                 await this._handlePreview(message.pattern, message.replacePattern, message.options);
                 break;
             case 'apply':
-                await this._handleApply(message.pattern, message.replacePattern, message.options);
+                await this._handleApply(message.pattern, message.replacePattern, message.replacements);
+                break;
+            case 'cancel':
+                this._cancellation?.cancel();
                 break;
             case 'navigateToMatch':
-                await this._navigateToMatch(message.file, message.line, message.column);
+                await navigateToMatch(
+                    message.file, message.line, message.column, message.root, this._backendService.getWorkspaceFolders());
+                break;
+            case 'savePattern':
+                await this._handleSavePattern(message);
+                break;
+            case 'openDiff':
+                await this._openDiff(message.replacements);
+                break;
+            case 'clearHistory':
+                await this._history.clear();
+                this._postHistory();
                 break;
+            case 'validate':
+                await this._handleValidate(message.key, message.pattern, message.replacePattern, message.constraints);
+                break;
+        }
+    }
+
+    /**
+     * Check the webview's patterns while they are typed; a newer check cancels the one still running.
+     * The result is tagged with the webview's key, so it can tell whether the inputs changed since.
+     */
+    private async _handleValidate(key: string, pattern: string, replacePattern: string, constraints: any) {
+        this._validation?.cancel();
+        const cancellation = new vscode.CancellationTokenSource();
+        this._validation = cancellation;
+
+        try {
+            const result = await this._backendService.validatePattern(pattern, replacePattern, constraints, cancellation.token);
+            this._panel.webview.postMessage({ type: 'validation', key, result });
+        } catch (error: any) {
+            // Validation is only advice: on failure the webview keeps its own syntax check
+            if (!(error instanceof vscode.CancellationError)) {
+                console.error('Pattern validation failed:', error);
+                this._panel.webview.postMessage({ type: 'validation', key, result: undefined });
+            }
+        } finally {
+            if (this._validation === cancellation) {
+                this._validation = undefined;
+            }
+            cancellation.dispose();
+        }
+    }
+
+    /**
+     * Record a search or preview in the workspace's history and refresh the webview's Recent list
+     */
+    private async _addToHistory(pattern: string, replacePattern: string | undefined, options: any) {
+        await this._history.add({ pattern, replacePattern: replacePattern ?? '', options: options ?? {} });
+        this._postHistory();
+    }
+
+    private _postHistory() {
+        this._panel.webview.postMessage({ type: 'history', entries: this._history.getEntries() });
+    }
+
+    /**
+     * Run a backend operation with a cancellable progress notification.
+     * Stopping it from the notification or the webview's Stop button cancels the same token.
+     */
+    private async _runCancellable<T>(title: string, task: (request: RequestOptions) => Promise<T>): Promise<T> {
+        // Only one operation runs at a time; starting another one stops the previous
+        this._cancellation?.cancel();
+        const cancellation = new vscode.CancellationTokenSource();
+        this._cancellation = cancellation;
+
+        try {
+            return await vscode.window.withProgress(
+                {
+                    location: vscode.ProgressLocation.Notification,
+                    title,
+                    cancellable: true
+                },
+                (progress, progressToken) => {
+                    progressToken.onCancellationRequested(() => cancellation.cancel());
+
+                    let reportedPercent = 0;
+                    return task({
+                        token: cancellation.token,
+                        onProgress: update => {
+                            let message = update.message;
+                            let increment: number | undefined;
+
+                            if (update.totalFiles && update.processedFiles !== undefined) {
+                                message = `${update.processedFiles}/${update.totalFiles} files scanned`;
+                                const percent = Math.floor(update.processedFiles / update.totalFiles * 100);
+                                if (percent > reportedPercent) {
+                                    increment = percent - reportedPercent;
+                                    reportedPercent = percent;
+                                }
+                            }
+
+                            progress.report({ message, increment });
+                            this._panel.webview.postMessage({ type: 'searchProgress', message });
+                        }
+                    });
+                }
+            );
+        } finally {
+            if (this._cancellation === cancellation) {
+                this._cancellation = undefined;
+            }
+            cancellation.dispose();
         }
     }
 
@@ -85,21 +358,39 @@ export class SearchPanel {
      */
     private async _handleSearch(pattern: string, options: any) {
         try {
+            // Highlights of the previous search would be misleading while this one runs
+            vscode.commands.executeCommand(HIGHLIGHT_MATCHES_COMMAND, []);
+
             // Send progress message
             this._panel.webview.postMessage({
                 type: 'searchProgress',
                 message: 'Searching for pattern...'
             });
 
-            // Execute search
-            const results = await this._backendService.search(pattern, options);
+            // Execute search, streaming matches to the webview as they are found
+            const results = await this._runCancellable('Sharp Code Search: Searching', request =>
+                this._backendService.search(pattern, this._resolveScope(options), {
+                    ...request,
+                    onMatches: matches => {
+                        this._panel.webview.postMessage({
+                            type: 'searchResultsChunk',
+                            results: matches
+                        });
+                    }
+                })
+            );
 
-            // Send results back to webview
+            // Send the final summary
             this._panel.webview.postMessage({
-                type: 'searchResults',
-                results: results
+                type: 'searchComplete',
+                matchCount: results.length,
+                fileCount: new Set(results.map(r => r.file)).size
             });
 
+            // Keep the results in the sidebar, where they outlive this panel
+            vscode.commands.executeCommand(SHOW_SEARCH_RESULTS_COMMAND, pattern, results);
+            vscode.commands.executeCommand(HIGHLIGHT_MATCHES_COMMAND, results);
+
             // Show notification with result count
             if (results.length > 0) {
                 vscode.window.showInformationMessage(
@@ -107,6 +398,11 @@ export class SearchPanel {
                 );
             }
         } catch (error: any) {
+            if (error instanceof vscode.CancellationError) {
+                this._panel.webview.postMessage({ type: 'operationCancelled', operation: 'search' });
+                return;
+            }
+
             console.error('Search error:', error);
 
             // Send error to webview
@@ -128,7 +424,9 @@ export class SearchPanel {
     private async _handlePreview(pattern: string, replacePattern: string, options: any) {
         try {
             // Execute search and replace (preview mode)
-            const results = await this._backendService.searchAndReplace(pattern, replacePattern, options);
+            const results = await this._runCancellable('Sharp Code Search: Previewing replacements', request =>
+                this._backendService.searchAndReplace(pattern, replacePattern, this._resolveScope(options), request)
+            );
 
             // Send results back to webview
             this._panel.webview.postMessage({
@@ -143,6 +441,11 @@ export class SearchPanel {
                 );
             }
         } catch (error: any) {
+            if (error instanceof vscode.CancellationError) {
+                this._panel.webview.postMessage({ type: 'operationCancelled', operation: 'preview' });
+                return;
+            }
+
             console.error('Preview error:', error);
 
             // Send error to webview
@@ -159,12 +462,16 @@ export class SearchPanel {
     }
 
     /**
-     * Handle apply request (execute replacements on files)
+     * Handle apply request: write the previewed replacements the user selected, exactly as previewed,
+     * as one undoable WorkspaceEdit reviewed in VS Code's refactor preview
      */
-    private async _handleApply(pattern: string, replacePattern: string, options: any) {
+    private async _handleApply(pattern: string, replacePattern: string, replacements: ReplacementResult[]) {
         try {
-            // Execute replacements (apply mode)
-            const results = await this._backendService.applyReplacements(pattern, replacePattern, options);
+            const { edit, results } = await createReplacementEdit(replacements, `Replace ${pattern} with ${replacePattern}`);
+            if (edit.size > 0 && !await vscode.workspace.applyEdit(edit, { isRefactoring: true })) {
+                // Discarded in the refactor preview
+                throw new vscode.CancellationError();
+            }
 
             // Send results back to webview
             this._panel.webview.postMessage({
@@ -173,8 +480,9 @@ export class SearchPanel {
             });
 
             // Show notification
-            const successCount = results.filter((r: any) => r.success).length;
-            const errorCount = results.filter((r: any) => !r.success).length;
+            const successCount = results.filter(r => r.success).length;
+            const skipped = results.filter(r => r.skipped);
+            const errorCount = results.filter(r => !r.success && !r.skipped).length;
             
             if (successCount > 0) {
                 vscode.window.showInformationMessage(
@@ -187,7 +495,24 @@ export class SearchPanel {
                     `${errorCount} file${errorCount === 1 ? '' : 's'} could not be modified`
                 );
             }
+
+            if (skipped.length > 0) {
+                const names = skipped.map(r => path.basename(r.filePath)).join(', ');
+                vscode.window.showWarningMessage(
+                    `Skipped ${skipped.length} file${skipped.length === 1 ? '' : 's'} changed since the preview: ${names}`,
+                    'Preview Again'
+                ).then(choice => {
+                    if (choice) {
+                        this._panel.webview.postMessage({ type: 'previewAgain' });
+                    }
+                });
+            }
         } catch (error: any) {
+            if (error instanceof vscode.CancellationError) {
+                this._panel.webview.postMessage({ type: 'operationCancelled', operation: 'apply' });
+                return;
+            }
+
             console.error('Apply error:', error);
 
             // Send error to webview
@@ -204,37 +529,28 @@ export class SearchPanel {
     }
 
     /**
-     * Navigate to a match location in the editor
+     * Show a file next to its rewrite with the given previewed replacements
      */
-    private async _navigateToMatch(file: string, line: number, column: number) {
+    private async _openDiff(replacements: ReplacementResult[]) {
         try {
-            // Resolve file path
-            const workspaceFolders = vscode.workspace.workspaceFolders;
-            let filePath: string;
-
-            if (path.isAbsolute(file)) {
-                filePath = file;
-            } else if (workspaceFolders && workspaceFolders.length > 0) {
-                filePath = path.join(workspaceFolders[0].uri.fsPath, file);
-            } else {
-                vscode.window.showErrorMessage('Cannot navigate: no workspace folder open');
-                return;
-            }
-
-            // Open document
-            const document = await vscode.workspace.openTextDocument(filePath);
-            const editor = await vscode.window.showTextDocument(document);
-
-            // Navigate to position (adjust for 0-based indexing)
-            const position = new vscode.Position(Math.max(0, line - 1), Math.max(0, column - 1));
-            const range = new vscode.Range(position, position);
-
-            editor.selection = new vscode.Selection(position, position);
-            editor.revealRange(range, vscode.TextEditorRevealType.InCenter);
+            await vscode.commands.executeCommand(SHOW_REPLACEMENT_DIFF_COMMAND, replacements);
+        } catch (error: any) {
+            vscode.window.showErrorMessage(`Failed to open diff: ${error.message || String(error)}`);
+        }
+    }
 
-        } catch (error) {
-            console.error('Navigation error:', error);
-            vscode.window.showErrorMessage(`Failed to navigate to ${file}:${line}:${column}`);
+    /**
+     * Save the webview's pattern to a workspace catalog file
+     */
+    private async _handleSavePattern(draft: PatternDraft) {
+        try {
+            await promptSavePattern({
+                pattern: draft.pattern,
+                replacePattern: draft.replacePattern,
+                constraints: draft.constraints
+            });
+        } catch (error: any) {
+            vscode.window.showErrorMessage(`Failed to save pattern: ${error.message || String(error)}`);
         }
     }
 
@@ -255,6 +571,7 @@ export class SearchPanel {
         const webviewPath = vscode.Uri.joinPath(this._extensionUri, 'webview');
 
         const scriptUri = webview.asWebviewUri(vscode.Uri.joinPath(webviewPath, 'search.js'));
+        const editorScriptUri = webview.asWebviewUri(vscode.Uri.joinPath(webviewPath, 'patternEditor.js'));
         const styleUri = webview.asWebviewUri(vscode.Uri.joinPath(webviewPath, 'search.css'));
 
         // Read the HTML template
@@ -269,6 +586,7 @@ export class SearchPanel {
         html = html.replace(/{{cspSource}}/g, webview.cspSource);
         html = html.replace(/{{cssUri}}/g, styleUri.toString());
         html = html.replace(/{{scriptUri}}/g, scriptUri.toString());
+        html = html.replace(/{{editorScriptUri}}/g, editorScriptUri.toString());
         html = html.replace(/{{nonce}}/g, nonce);
 
         return html;
@@ -292,6 +610,10 @@ export class SearchPanel {
     public dispose() {
         SearchPanel.currentPanel = undefined;
 
+        // Stop any backend operation still running for this panel
+        this._cancellation?.cancel();
+        this._validation?.cancel();
+
         // Clean up our resources
         this._panel.dispose();
 
@@ -308,7 +630,19 @@ export class SearchPanel {
  * Register the search command
  */
 export function registerSearchCommand(context: vscode.ExtensionContext, backendService: BackendService): vscode.Disposable {
-    return vscode.commands.registerCommand('sharpCodeSearch.search', () => {
-        SearchPanel.createOrShow(context.extensionUri, backendService);
-    });
+    return vscode.Disposable.from(
+        vscode.commands.registerCommand('sharpCodeSearch.search', () => {
+            SearchPanel.createOrShow(context, backendService);
+        }),
+        // Bring the panel back after a window reload
+        vscode.window.registerWebviewPanelSerializer('sharpCodeSearch', {
+            async deserializeWebviewPanel(panel: vscode.WebviewPanel) {
+                SearchPanel.revive(panel, context, backendService);
+            }
+        }),
+        // Keep the panel's selection on the match that next/previous match moved to
+        vscode.commands.registerCommand(SELECT_RESULT_COMMAND, (index: number) => {
+            SearchPanel.currentPanel?.selectResult(index);
+        })
+    );
 }
@@ -0,0 +1,46 @@
+import * as vscode from 'vscode';
+
+/**
+ * workspaceState key holding the history
+ */
+const HISTORY_KEY = 'sharpCodeSearch.history';
+
+/**
+ * Number of entries kept; older ones are dropped
+ */
+const MAX_ENTRIES = 50;
+
+/**
+ * A search or preview that was run from the search panel
+ */
+export interface HistoryEntry {
+    pattern: string;
+    replacePattern: string;
+    /** Search options as collected by the webview form (scope, globs, folder, ...) */
+    options: Record<string, unknown>;
+}
+
+/**
+ * Recent search/replace patterns of the workspace, most recent first
+ */
+export class SearchHistory {
+    constructor(private readonly state: vscode.Memento) { }
+
+    getEntries(): HistoryEntry[] {
+        return this.state.get<HistoryEntry[]>(HISTORY_KEY, []);
+    }
+
+    /**
+     * Record an entry, moving an earlier run of the same patterns to the top
+     */
+    async add(entry: HistoryEntry): Promise<void> {
+        const entries = this.getEntries().filter(existing =>
+            existing.pattern !== entry.pattern || existing.replacePattern !== entry.replacePattern);
+
+        await this.state.update(HISTORY_KEY, [entry, ...entries].slice(0, MAX_ENTRIES));
+    }
+
+    async clear(): Promise<void> {
+        await this.state.update(HISTORY_KEY, undefined);
+    }
+}
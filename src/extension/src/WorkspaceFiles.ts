@@ -0,0 +1,65 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+
+/**
+ * Project files that are never offered in the project picker or used to group results
+ */
+export const PROJECT_EXCLUDE = '{**/bin/**,**/obj/**,**/node_modules/**}';
+
+/**
+ * The .csproj files of the workspace
+ */
+export function findProjectFiles(): Thenable<vscode.Uri[]> {
+    return vscode.workspace.findFiles('**/*.csproj', PROJECT_EXCLUDE);
+}
+
+/**
+ * Absolute path of a match's file: relative paths are resolved against the folder the match was found in,
+ * or the first workspace folder. Undefined when a relative path has nothing to resolve against.
+ */
+export function resolveMatchFile(file: string, root: string | undefined, workspaceFolders: readonly vscode.WorkspaceFolder[]): string | undefined {
+    if (path.isAbsolute(file)) {
+        return file;
+    }
+    if (root) {
+        return path.join(root, file);
+    }
+    if (workspaceFolders.length > 0) {
+        return path.join(workspaceFolders[0].uri.fsPath, file);
+    }
+    return undefined;
+}
+
+/**
+ * Open a match's file and move the cursor to it (1-based line and column)
+ */
+export async function navigateToMatch(
+    file: string,
+    line: number,
+    column: number,
+    root: string | undefined,
+    workspaceFolders: readonly vscode.WorkspaceFolder[]
+): Promise<void> {
+    try {
+        const filePath = resolveMatchFile(file, root, workspaceFolders);
+        if (!filePath) {
+            vscode.window.showErrorMessage('Cannot navigate: no workspace folder open');
+            return;
+        }
+
+        // Open document
+        const document = await vscode.workspace.openTextDocument(filePath);
+        const editor = await vscode.window.showTextDocument(document);
+
+        // Navigate to position (adjust for 0-based indexing)
+        const position = new vscode.Position(Math.max(0, line - 1), Math.max(0, column - 1));
+        const range = new vscode.Range(position, position);
+
+        editor.selection = new vscode.Selection(position, position);
+        editor.revealRange(range, vscode.TextEditorRevealType.InCenter);
+
+    } catch (error) {
+        console.error('Navigation error:', error);
+        vscode.window.showErrorMessage(`Failed to navigate to ${file}:${line}:${column}`);
+    }
+}
@@ -1,6 +1,14 @@
 import * as vscode from 'vscode';
 import { BackendService } from './BackendService';
 import { registerSearchCommand, SearchPanel } from './SearchCommand';
+import { registerCatalogCommand } from './CatalogCommand';
+import { PatternCatalog } from './PatternCatalog';
+import { PatternDiagnostics } from './PatternDiagnostics';
+import { registerPatternCodeActions } from './PatternCodeActions';
+import { registerPreviewDiff } from './PreviewDiff';
+import { registerResultsTree } from './ResultsTree';
+import { registerMatchHighlights } from './MatchHighlights';
+import { registerContextMenuCommands } from './ContextMenuCommands';
 
 export async function activate(context: vscode.ExtensionContext) {
     console.log('Sharp Code Search extension is now active');
@@ -8,12 +16,17 @@ export async function activate(context: vscode.ExtensionContext) {
     // Initialize backend service
     const backendService = new BackendService(context);
 
+    context.subscriptions.push(backendService);
+
     // Verify backend is available
     const backendAvailable = await backendService.verifyBackend();
     if (!backendAvailable) {
         vscode.window.showWarningMessage(
             'Sharp Code Search: Backend not found. Some features may not work. Please ensure the extension is properly built.'
         );
+    } else {
+        // Start the persistent backend so the first search already finds it warm
+        backendService.start();
     }
 
     // Register search command with the new webview implementation
@@ -32,12 +45,30 @@ export async function activate(context: vscode.ExtensionContext) {
         }
     });
 
-    // Register pattern catalog command (placeholder for now)
-    const catalogCommand = vscode.commands.registerCommand('sharpCodeSearch.catalog', () => {
-        vscode.window.showInformationMessage('Sharp Code Search: Pattern Catalog command (not yet implemented)');
-    });
+    // Register pattern catalog command (bundled patterns plus .sharpcodesearch/patterns.json)
+    const catalogCommand = registerCatalogCommand(context, backendService);
+
+    // Editor and Explorer context menu entries
+    const contextMenuCommands = registerContextMenuCommands(context, backendService);
+
+    // Report matches of catalog patterns that have a severity in the Problems panel
+    const diagnostics = new PatternDiagnostics(new PatternCatalog(context.extensionUri), backendService);
+
+    // Offer the replace pattern of those entries as quick fixes
+    const codeActions = registerPatternCodeActions(diagnostics);
+
+    // Diff editor for previewed replacements (sharpcodesearch-preview: documents)
+    const previewDiff = registerPreviewDiff();
+
+    // Sidebar view with the last search's matches grouped by project and file
+    const resultsTree = registerResultsTree(backendService);
+
+    // Highlight those matches in visible editors
+    const matchHighlights = registerMatchHighlights(backendService);
 
-    context.subscriptions.push(searchCommand, replaceCommand, catalogCommand);
+    context.subscriptions.push(
+        searchCommand, replaceCommand, catalogCommand, contextMenuCommands, diagnostics, codeActions, previewDiff, resultsTree, matchHighlights
+    );
 
     console.log('Sharp Code Search: All commands registered successfully');
 }
@@ -1,5 +1,56 @@
 import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as vm from 'vm';
 import * as vscode from 'vscode';
+import { BackendDaemon, BackendRequestError, splitLines } from '../BackendDaemon';
+import { BackendService, buildBackendArgs, createBackendError, forEachRoot, parseNdjsonResults, parsePatternValidation, ReplacementResult, resolveRoots, SearchResult } from '../BackendService';
+import { MatchHighlighter } from '../MatchHighlights';
+import { parseCatalog, readWorkspaceCatalog, WORKSPACE_CATALOG_PATH } from '../PatternCatalog';
+import { PatternCodeActionProvider } from '../PatternCodeActions';
+import { DIAGNOSTIC_SOURCE, PatternDiagnostics, PatternFix } from '../PatternDiagnostics';
+import { exactPattern, generalizePattern, KEYWORDS } from '../PatternGeneralizer';
+import { PREVIEW_SCHEME, SHOW_REPLACEMENT_DIFF_COMMAND } from '../PreviewDiff';
+import { computeContentHash, createReplacementEdit } from '../ReplacementEdit';
+import { getRuleId, toCsv, toSarif } from '../ResultExport';
+import { findCursorPosition, getStepTarget, groupResults } from '../ResultsTree';
+import { SearchHistory } from '../SearchHistory';
+
+/**
+ * Load the pattern editor's script as the webview does and return its tokenizer
+ */
+function loadPatternSyntax(): any {
+    const window: any = {};
+    const source = fs.readFileSync(path.join(__dirname, '..', '..', 'webview', 'patternEditor.js'), 'utf8');
+    vm.runInNewContext(source, { window });
+    return window.patternSyntax;
+}
+
+/**
+ * Previewed replacement of the first occurrence of some code in a file's text
+ */
+function previewReplacement(text: string, filePath: string, originalCode: string, replacementCode: string): ReplacementResult {
+    const start = text.indexOf(originalCode);
+    const lines = text.slice(0, start).split('\n');
+    return {
+        filePath,
+        line: lines.length,
+        column: lines[lines.length - 1].length + 1,
+        startPosition: start,
+        endPosition: start + originalCode.length,
+        originalCode,
+        replacementCode,
+        contentHash: computeContentHash(text)
+    };
+}
+
+/**
+ * Search result at a 1-based line and column of a file
+ */
+function searchResult(file: string, line: number, column = 1): SearchResult {
+    return { file, line, column, code: '', matchedText: 'Log()' };
+}
 
 suite('Extension Test Suite', () => {
     vscode.window.showInformationMessage('Start extension tests');
@@ -22,4 +73,530 @@ suite('Extension Test Suite', () => {
         const commands = await vscode.commands.getCommands(true);
         assert.ok(commands.includes('sharpCodeSearch.catalog'));
     });
+
+    test('Should pass patterns to the backend unchanged', () => {
+        const pattern = 'Run(`$(rm -rf ~)` + "%PATH%" + \'$arg$\')\n\t.Wait()';
+        const replacePattern = 'Execute("$arg$", \\"quoted\\")';
+
+        const args = buildBackendArgs(pattern, { replacePattern, workspace: '/my workspace' });
+
+        assert.deepStrictEqual(args, [
+            '--pattern', pattern,
+            '--replace', replacePattern,
+            '--output', 'json',
+            '--workspace', '/my workspace'
+        ]);
+    });
+
+    test('Should pass match case and whole word to the backend', () => {
+        assert.deepStrictEqual(buildBackendArgs('Write($args$)', { matchCase: true }), [
+            '--pattern', 'Write($args$)', '--output', 'json'
+        ]);
+        assert.deepStrictEqual(buildBackendArgs('Write($args$)', { matchCase: false, wholeWord: true }), [
+            '--pattern', 'Write($args$)', '--output', 'json', '--ignore-case', '--whole-word'
+        ]);
+    });
+
+    test('Should pass the project by full path and the folder filter to the backend', () => {
+        const project = path.join('/repo', 'tests', 'App', 'App.csproj');
+
+        assert.deepStrictEqual(buildBackendArgs('$x$', { projectFilter: project, folderFilter: 'Controllers' }), [
+            '--pattern', '$x$', '--output', 'json', '--project-filter', project, '--folder-filter', 'Controllers'
+        ]);
+    });
+
+    test('Should read streamed matches from NDJSON output and skip the summary line', () => {
+        const output = [
+            '{"type":"match","match":{"file":"/repo/A.cs","line":3,"column":9,"matchedText":"a.Wait()"}}',
+            'not json',
+            '',
+            '{"type":"match","match":{"File":"/repo/B.cs","Line":"7","Column":"1","MatchedText":"b.Wait()"}}',
+            '{"type":"summary","totalMatches":2}'
+        ].join('\r\n');
+
+        const results = parseNdjsonResults(output);
+
+        assert.deepStrictEqual(results.map(result => [result.file, result.line, result.column, result.matchedText]), [
+            ['/repo/A.cs', 3, 9, 'a.Wait()'],
+            ['/repo/B.cs', 7, 1, 'b.Wait()']
+        ]);
+    });
+
+    test('Should keep a line split across chunks until its newline arrives', () => {
+        const message = '{"jsonrpc":"2.0","method":"match","params":{"requestId":1}}';
+
+        const first = splitLines('{"jsonrpc":"2.0","id":1,"result":null}\n' + message.slice(0, 20));
+        assert.deepStrictEqual(first.lines, ['{"jsonrpc":"2.0","id":1,"result":null}']);
+        assert.strictEqual(first.rest, message.slice(0, 20));
+
+        const second = splitLines(first.rest + message.slice(20) + '\r\n\n');
+        assert.deepStrictEqual(second.lines, [message]);
+        assert.strictEqual(second.rest, '');
+    });
+
+    test('Should report a cancelled backend operation as a cancellation rather than a failure', () => {
+        const cancellation = new vscode.CancellationError();
+        assert.strictEqual(createBackendError(cancellation), cancellation);
+
+        // Cancelling a one-shot search kills the backend process
+        const killed = Object.assign(new Error('Command failed'), { killed: true, signal: 'SIGTERM' });
+        const source = new vscode.CancellationTokenSource();
+        source.cancel();
+        assert.ok(createBackendError(killed, source.token) instanceof vscode.CancellationError);
+        assert.deepStrictEqual(createBackendError(killed), {
+            message: 'Search timed out',
+            details: 'The search operation took too long and was cancelled. Try searching in a smaller scope.'
+        });
+
+        assert.deepStrictEqual(createBackendError(new BackendRequestError('Invalid pattern', -32602, { position: 4 })), {
+            message: 'Invalid pattern',
+            details: '{"position":4}'
+        });
+        source.dispose();
+    });
+
+    test('Should not send a request whose token is already cancelled', async () => {
+        const daemon = new BackendDaemon({ command: path.join(os.tmpdir(), 'sharp-code-search-missing'), args: [] });
+        const source = new vscode.CancellationTokenSource();
+        source.cancel();
+        try {
+            await assert.rejects(daemon.request('search', {}, { token: source.token }), vscode.CancellationError);
+        } finally {
+            source.dispose();
+            daemon.dispose();
+        }
+    });
+
+    test('Should search every workspace folder unless the scope narrows it down', () => {
+        const api = path.join(os.tmpdir(), 'workspace', 'Api');
+        const web = path.join(os.tmpdir(), 'workspace', 'Web');
+        const folders = [api, web];
+
+        assert.deepStrictEqual(resolveRoots(folders, {}), [api, web]);
+        assert.deepStrictEqual(resolveRoots(folders, { folder: web }), [web]);
+        assert.deepStrictEqual(resolveRoots(folders, { project: path.join(web, 'App', 'App.csproj') }), [web]);
+        assert.deepStrictEqual(resolveRoots(folders, { files: [path.join(api, 'A.cs'), path.join(web, 'B.cs')] }), [api, web]);
+
+        assert.throws(() => resolveRoots([], {}), /No workspace folder is open/);
+        assert.throws(() => resolveRoots(folders, { folder: path.join(os.tmpdir(), 'workspace', 'Closed') }), /no longer open/);
+        assert.throws(() => resolveRoots(folders, { files: [path.join(os.tmpdir(), 'Elsewhere.cs')] }), /outside the searched workspace folders/);
+    });
+
+    test('Should tag the results of each workspace folder with its root', async () => {
+        const visited: string[] = [];
+
+        const results = await forEachRoot(['/api', '/web'], async root => {
+            visited.push(root);
+            return root === '/api' ? [searchResult('/api/A.cs', 1), searchResult('/api/B.cs', 2)] : [searchResult('/web/C.cs', 3)];
+        });
+
+        assert.deepStrictEqual(visited, ['/api', '/web']);
+        assert.deepStrictEqual(results.map(result => [result.file, result.root]), [
+            ['/api/A.cs', '/api'],
+            ['/api/B.cs', '/api'],
+            ['/web/C.cs', '/web']
+        ]);
+    });
+
+    test('Should not offer the persistent backend when the backend cannot be verified', async function () {
+        // Verification runs the backend with a 5 s timeout
+        this.timeout(10000);
+        const extensionPath = path.join(os.tmpdir(), 'sharp-code-search-missing');
+        const backendService = new BackendService({ extensionPath } as vscode.ExtensionContext);
+        try {
+            assert.strictEqual(await backendService.verifyBackend(), false);
+            assert.strictEqual(backendService.isDaemonAvailable, false);
+            // The search panel then keeps its own syntax check instead of underlining the backend's problems
+            assert.strictEqual(await backendService.validatePattern('Log($msg$'), undefined);
+        } finally {
+            backendService.dispose();
+        }
+    });
+
+    test('Should read the problems of a pattern at the offsets the backend reports', () => {
+        // As the daemon serializes PatternParser.Diagnose("$x$ + $x$", "$x$ * $y$")
+        const validation = parsePatternValidation({
+            isValid: false,
+            patternErrors: [],
+            replaceErrors: [{ message: "Placeholder '$y$' does not exist in the search pattern", position: 6, length: 3 }],
+            placeholders: [{ name: 'x', kind: 'expression', count: 2 }]
+        });
+
+        assert.strictEqual(validation.isValid, false);
+        const [problem] = validation.replaceErrors;
+        assert.strictEqual('$x$ * $y$'.slice(problem.position, problem.position + problem.length), '$y$');
+        assert.deepStrictEqual(validation.placeholders, [{ name: 'x', kind: 'expression', count: 2 }]);
+
+        assert.deepStrictEqual(parsePatternValidation(null), { isValid: false, patternErrors: [], replaceErrors: [], placeholders: [] });
+    });
+
+    test('Should pass catalog constraints to the backend in the shape it reads', () => {
+        const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'patterns', 'patterns.schema.json'), 'utf8'));
+        const kinds = schema.properties.patterns.items.properties.constraints.additionalProperties.properties.kind.enum;
+        // The backend's PlaceholderType names, which it parses case-insensitively
+        assert.deepStrictEqual(kinds, ['expression', 'identifier', 'statement', 'arguments', 'type', 'member', 'any']);
+
+        const constraints = { args: { kind: 'arguments', maxCount: 1 } };
+        const [entry] = parseCatalog({ patterns: [{ name: 'Single argument', pattern: 'Log($args$)', constraints }] }, 'MyRepo');
+
+        assert.deepStrictEqual(buildBackendArgs(entry.pattern, { constraints: entry.constraints }), [
+            '--pattern', 'Log($args$)', '--output', 'json', '--constraints', '{"args":{"kind":"arguments","maxCount":1}}'
+        ]);
+    });
+
+    test('Should hash document text like the backend', () => {
+        // SHA-256 of the UTF-8 text, as Program.ComputeContentHash in the backend
+        assert.strictEqual(
+            computeContentHash('abc'),
+            'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+        );
+        assert.notStrictEqual(computeContentHash('var x = 1;\n'), computeContentHash('var x = 1;\r\n'));
+    });
+
+    test('Should skip files changed since the preview and keep only the outermost of overlapping matches', async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'replace-'));
+        try {
+            const text = 'Log(Format(a));\nLog(b);\n';
+            const same = path.join(root, 'Same.cs');
+            const changed = path.join(root, 'Changed.cs');
+            fs.writeFileSync(same, text);
+            fs.writeFileSync(changed, text.replace('b', 'c'));
+
+            const { edit, results } = await createReplacementEdit([
+                previewReplacement(text, same, 'Log(Format(a))', 'Write(Format(a))'),
+                previewReplacement(text, same, 'Format(a)', 'F(a)'),
+                previewReplacement(text, same, 'a));\nLog(b', 'overlapping'),
+                previewReplacement(text, same, 'Log(b)', 'Write(b)'),
+                previewReplacement(text, changed, 'Log(Format(a))', 'Write(Format(a))')
+            ], 'Replace');
+
+            assert.deepStrictEqual(edit.get(vscode.Uri.file(same)).map(textEdit => textEdit.newText), ['Write(Format(a))', 'Write(b)']);
+            assert.strictEqual(edit.has(vscode.Uri.file(changed)), false);
+            assert.deepStrictEqual(results.map(result => [result.filePath, result.replacementsApplied, result.success, !!result.skipped]), [
+                [same, 2, true, false],
+                [changed, 0, false, true]
+            ]);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    test('Should show the rewritten text of a file in the preview diff', async function () {
+        // Activation waits for the backend check
+        this.timeout(10000);
+        await vscode.extensions.getExtension('sharpcodesearch.sharp-code-search')!.activate();
+
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-'));
+        try {
+            const text = 'Log(Format(a));\nLog(b);\n';
+            const file = path.join(root, 'Program.cs');
+            fs.writeFileSync(file, text);
+
+            await vscode.commands.executeCommand(SHOW_REPLACEMENT_DIFF_COMMAND, [
+                previewReplacement(text, file, 'Log(Format(a))', 'Write(Format(a))'),
+                previewReplacement(text, file, 'Format(a)', 'F(a)'),
+                previewReplacement(text, file, 'Log(b)', 'Write(b)')
+            ]);
+
+            const preview = await vscode.workspace.openTextDocument(vscode.Uri.file(file).with({ scheme: PREVIEW_SCHEME }));
+            assert.strictEqual(preview.getText(), 'Write(Format(a));\nWrite(b);\n');
+        } finally {
+            await vscode.commands.executeCommand('workbench.action.closeAllEditors');
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    test('Should offer to replace one match or fix every match of the pattern in the file', async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'quick-fix-'));
+        try {
+            const text = 'Log(Log(a));\nLog(b);\nLog(c);\n';
+            const file = path.join(root, 'Program.cs');
+            fs.writeFileSync(file, text);
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.file(file));
+
+            const [pattern] = parseCatalog({ patterns: [{ name: 'Use Write', pattern: 'Log($x$)', replacePattern: 'Write($x$)' }] }, 'built-in');
+            const fix = (originalCode: string, replacementCode: string): PatternFix => {
+                const replacement = previewReplacement(text, file, originalCode, replacementCode);
+                const range = new vscode.Range(document.positionAt(replacement.startPosition!), document.positionAt(replacement.endPosition!));
+                return { pattern, range, replacement };
+            };
+            const outer = fix('Log(Log(a))', 'Write(Log(a))');
+            // Checked when the file still read Log(d)
+            const stale = fix('Log(c)', 'Write(d)');
+            stale.replacement.originalCode = 'Log(d)';
+            const fixes = [outer, fix('Log(a)', 'Write(a)'), fix('Log(b)', 'Write(b)'), stale];
+            const provider = new PatternCodeActionProvider({ getFixes: () => fixes } as unknown as PatternDiagnostics);
+
+            const diagnostic = new vscode.Diagnostic(outer.range, 'Use Write', vscode.DiagnosticSeverity.Warning);
+            diagnostic.source = DIAGNOSTIC_SOURCE;
+            diagnostic.code = 'Use Write';
+            const other = new vscode.Diagnostic(outer.range, 'Use Write', vscode.DiagnosticSeverity.Warning);
+            other.source = 'csharp';
+            other.code = 'Use Write';
+
+            const actions = provider.provideCodeActions(document, outer.range, { diagnostics: [diagnostic, other], only: undefined, triggerKind: vscode.CodeActionTriggerKind.Invoke });
+            const edits = (action: vscode.CodeAction) => action.edit!.get(document.uri).map(edit => [document.getText(edit.range), edit.newText]);
+
+            assert.deepStrictEqual(actions.map(action => action.title), ["Replace with 'Write(Log(a))'", "Fix all 'Use Write' in file (3)"]);
+            assert.deepStrictEqual(actions[0].diagnostics, [diagnostic]);
+            assert.deepStrictEqual(edits(actions[0]), [['Log(Log(a))', 'Write(Log(a))']]);
+            // The nested Log(a) is rewritten with the outer match, and the stale Log(c) is left alone
+            assert.deepStrictEqual(edits(actions[1]), [['Log(Log(a))', 'Write(Log(a))'], ['Log(b)', 'Write(b)']]);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    test('Should parse pattern catalog entries', () => {
+        const patterns = parseCatalog({
+            patterns: [
+                { name: 'Null check', category: 'Style', pattern: '$expr$ == null', replacePattern: '$expr$ is null' },
+                {
+                    name: 'Blocking wait',
+                    pattern: '$task$.Result',
+                    severity: 'error',
+                    tags: ['async', 42],
+                    constraints: { task: { type: 'Task' } }
+                },
+                { name: 'Missing pattern' },
+                { pattern: 'Missing name' }
+            ]
+        }, 'MyRepo');
+
+        assert.deepStrictEqual(patterns, [{
+            name: 'Null check',
+            pattern: '$expr$ == null',
+            replacePattern: '$expr$ is null',
+            description: undefined,
+            category: 'Style',
+            severity: undefined,
+            tags: undefined,
+            constraints: undefined,
+            source: 'MyRepo'
+        }, {
+            name: 'Blocking wait',
+            pattern: '$task$.Result',
+            replacePattern: undefined,
+            description: undefined,
+            category: undefined,
+            severity: 'error',
+            tags: ['async'],
+            constraints: { task: { type: 'Task' } },
+            source: 'MyRepo'
+        }]);
+        assert.throws(() => parseCatalog({ entries: [] }, 'MyRepo'));
+    });
+
+    test('Should tell apart the catalogs of workspace folders with the same name', async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+        try {
+            const folders = ['first', 'second'].map((dir, index) => {
+                const catalog = path.join(root, dir, 'app', WORKSPACE_CATALOG_PATH);
+                fs.mkdirSync(path.dirname(catalog), { recursive: true });
+                fs.writeFileSync(catalog, JSON.stringify({ patterns: [{ name: dir, pattern: 'Log($x$)', severity: 'warning' }] }));
+                return { uri: vscode.Uri.file(path.join(root, dir, 'app')), name: 'app', index };
+            });
+
+            const [first, second] = await Promise.all(folders.map(folder => readWorkspaceCatalog(folder)));
+
+            assert.deepStrictEqual(first.map(entry => [entry.name, entry.source, entry.folderUri]),
+                [['first', 'app', folders[0].uri.toString()]]);
+            assert.deepStrictEqual(second.map(entry => [entry.name, entry.source, entry.folderUri]),
+                [['second', 'app', folders[1].uri.toString()]]);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    test('Should keep the most recent run of each pattern pair first', async () => {
+        const values = new Map<string, any>();
+        const state = {
+            keys: () => [...values.keys()],
+            get: (key: string, defaultValue?: any) => values.has(key) ? values.get(key) : defaultValue,
+            // Like workspaceState, storing undefined removes the key
+            update: async (key: string, value: any) => { value === undefined ? values.delete(key) : values.set(key, value); }
+        } as vscode.Memento;
+        const history = new SearchHistory(state);
+
+        await history.add({ pattern: '$a$.Count() > 0', replacePattern: '$a$.Any()', options: {} });
+        await history.add({ pattern: '$x$ == null', replacePattern: '', options: {} });
+        await history.add({ pattern: '$a$.Count() > 0', replacePattern: '$a$.Any()', options: { scope: 'currentFile' } });
+
+        assert.deepStrictEqual(history.getEntries().map(entry => entry.pattern), ['$a$.Count() > 0', '$x$ == null']);
+        assert.deepStrictEqual(history.getEntries()[0].options, { scope: 'currentFile' });
+
+        await history.clear();
+        assert.deepStrictEqual(history.getEntries(), []);
+    });
+
+    test('Should export results as CSV and SARIF', () => {
+        const results = [{
+            file: 'src/Program.cs',
+            line: 3,
+            column: 9,
+            startPosition: 41,
+            endPosition: 52,
+            code: '',
+            matchedText: 'Log("a, b")',
+            placeholders: { message: '"a, b"' },
+            root: '/repo'
+        }];
+
+        assert.strictEqual(toCsv(results),
+            'Folder,File,Line,Column,Matched Text,Placeholders\r\n'
+            + '/repo,src/Program.cs,3,9,"Log(""a, b"")","message=""a, b"""\r\n');
+
+        const ranges = new Map([[results[0], new vscode.Range(2, 8, 2, 19)]]);
+        const run = (toSarif('Log($message$)', results, ranges) as any).runs[0];
+        assert.match(run.tool.driver.rules[0].id, /^SCS[0-9A-F]{8}$/);
+        assert.strictEqual(getRuleId('Log(\n    $message$)'), getRuleId('Log( $message$)'));
+        assert.strictEqual(run.tool.driver.rules[0].shortDescription.text, 'Matches of Log($message$)');
+        assert.strictEqual(run.results[0].ruleId, run.tool.driver.rules[0].id);
+        assert.deepStrictEqual(run.originalUriBaseIds, { ROOT0: { uri: 'file:///repo/' } });
+        assert.deepStrictEqual(run.results[0].locations[0].physicalLocation.artifactLocation, { uri: 'src/Program.cs', uriBaseId: 'ROOT0' });
+        assert.deepStrictEqual(run.results[0].locations[0].physicalLocation.region, {
+            startLine: 3,
+            startColumn: 9,
+            endLine: 3,
+            endColumn: 20,
+            charOffset: 41,
+            charLength: 11,
+            snippet: { text: 'Log("a, b")' }
+        });
+    });
+
+    test('Should generalize local names and literals of selected code', () => {
+        assert.strictEqual(
+            generalizePattern('if (items.Count() > 0) { total += items.Count(); }'),
+            'if ($id1$.Count() > $value1$) { $id2$ += $id1$.Count(); }'
+        );
+        assert.strictEqual(
+            generalizePattern('Console.WriteLine($"Hello {name}", @"C:\\temp");'),
+            'Console.WriteLine($value1$, $value2$);'
+        );
+    });
+
+    test('Should keep the $ of exact code out of the pattern so it is not read as a placeholder', () => {
+        assert.strictEqual(
+            exactPattern('Log($"Hello {name}", "plain", @$"C:\\{dir}"); // costs $5'),
+            'Log($value1$, "plain", $value2$); '
+        );
+        assert.strictEqual(exactPattern('Log(count, "text"); // note'), 'Log(count, "text"); // note');
+        assert.strictEqual(
+            generalizePattern('Log(count); // costs $5'),
+            'Log($id1$); '
+        );
+    });
+
+    test('Should color placeholders, comments, literals, keywords and invoked names in the pattern editor', () => {
+        const { tokenize } = loadPatternSyntax();
+        const text = 'if ($obj$ != null) Save(@"a(""b", 42) // done\n/* open';
+
+        const tokens = Array.from(tokenize(text), (token: any) => [token.type, text.slice(token.start, token.end)]);
+
+        assert.deepStrictEqual(tokens, [
+            ['keyword', 'if'], ['bracket', '('], ['placeholder', '$obj$'], ['keyword', 'null'], ['bracket', ')'],
+            ['method', 'Save'], ['bracket', '('], ['string', '@"a(""b"'], ['number', '42'], ['bracket', ')'],
+            ['comment', '// done'], ['comment', '/* open']
+        ]);
+    });
+
+    test('Should pair the brackets of a pattern and report the ones without a partner', () => {
+        const { matchBrackets, tokenize } = loadPatternSyntax();
+        const text = 'f(a[0])) + g(';
+
+        const brackets = matchBrackets(text, tokenize(text));
+
+        assert.strictEqual(brackets.pairs.get(1), 6);
+        assert.strictEqual(brackets.pairs.get(6), 1);
+        assert.strictEqual(brackets.pairs.get(3), 5);
+        assert.deepStrictEqual([...brackets.unmatched], [7, 12]);
+    });
+
+    test('Should color the keywords that are never generalized', () => {
+        const { KEYWORDS: highlighted } = loadPatternSyntax();
+
+        assert.deepStrictEqual([...highlighted].sort(), [...KEYWORDS].sort());
+    });
+
+    test('Should group results by the innermost project with loose files last', () => {
+        const root = path.resolve('/repo');
+        const projects = groupResults([
+            searchResult(path.join(root, 'Script.cs'), 1),
+            searchResult(path.join(root, 'Lib', 'Lib.cs'), 9),
+            searchResult(path.join(root, 'App', 'Tests', 'AppTests.cs'), 3),
+            searchResult(path.join(root, 'App', 'App.cs'), 2),
+            searchResult(path.join(root, 'Lib', 'Lib.cs'), 4)
+        ], [
+            path.join(root, 'App', 'App.csproj'),
+            path.join(root, 'App', 'Tests', 'Tests.csproj'),
+            path.join(root, 'Lib', 'Lib.csproj')
+        ], []);
+
+        assert.deepStrictEqual(projects.map(project => [project.name, project.files.map(file => path.relative(root, file.filePath))]), [
+            ['App', [path.join('App', 'App.cs')]],
+            ['Lib', [path.join('Lib', 'Lib.cs')]],
+            ['Tests', [path.join('App', 'Tests', 'AppTests.cs')]],
+            ['(no project)', ['Script.cs']]
+        ]);
+        // Matches by position, keeping their index in the search's results
+        assert.deepStrictEqual(projects[1].files[0].matches.map(match => [match.result.line, match.index]), [[4, 4], [9, 1]]);
+    });
+
+    test('Should wrap around when stepping past either end of the matches', () => {
+        assert.strictEqual(getStepTarget(1, 1, 4), 2);
+        assert.strictEqual(getStepTarget(3, 1, 4), 0);
+        assert.strictEqual(getStepTarget(0, -1, 4), 3);
+        assert.strictEqual(getStepTarget(-1, 1, 4), 0);
+        assert.strictEqual(getStepTarget(-1, -1, 4), 3);
+    });
+
+    test('Should step from the cursor before any match is opened', () => {
+        const first = path.resolve('/repo/A.cs');
+        const second = path.resolve('/repo/B.cs');
+        // Ordered as A.cs:2, A.cs:5, A.cs:9, B.cs:1
+        const matches = groupResults([
+            searchResult(first, 5), searchResult(second, 1), searchResult(first, 2), searchResult(first, 9)
+        ], [], [])[0].files.flatMap(file => file.matches);
+        const target = (delta: 1 | -1, filePath: string, line: number) =>
+            getStepTarget(findCursorPosition(matches, delta, filePath, new vscode.Position(line - 1, 0)), delta, matches.length);
+
+        // Forward: before, on and after the matches of the file
+        assert.strictEqual(target(1, first, 1), 0);
+        assert.strictEqual(target(1, first, 5), 2);
+        assert.strictEqual(target(1, first, 20), 3);
+        assert.strictEqual(target(1, second, 20), 0);
+
+        // Backward
+        assert.strictEqual(target(-1, first, 1), 3);
+        assert.strictEqual(target(-1, first, 5), 0);
+        assert.strictEqual(target(-1, first, 20), 2);
+
+        // A file without matches starts at either end
+        assert.strictEqual(findCursorPosition(matches, 1, path.resolve('/repo/C.cs'), new vscode.Position(0, 0)), -1);
+    });
+
+    test('Should drop the highlights of a file once it is edited', async () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'highlights-'));
+        const highlighter = new MatchHighlighter({ getWorkspaceFolders: () => [] } as unknown as BackendService);
+        try {
+            const edited = path.join(root, 'Edited.cs');
+            const untouched = path.join(root, 'Untouched.cs');
+            fs.writeFileSync(edited, 'Log();\n');
+            fs.writeFileSync(untouched, 'Log();\n');
+            highlighter.setResults([searchResult(edited, 1), searchResult(untouched, 1)]);
+
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.file(edited));
+            const edit = new vscode.WorkspaceEdit();
+            edit.insert(document.uri, new vscode.Position(0, 0), '// note\n');
+            await vscode.workspace.applyEdit(edit);
+
+            assert.strictEqual(highlighter.getMatches(vscode.Uri.file(edited)).length, 0);
+            assert.strictEqual(highlighter.getMatches(vscode.Uri.file(untouched)).length, 1);
+            await document.save();
+        } finally {
+            highlighter.dispose();
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
 });
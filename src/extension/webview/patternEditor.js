@@ -0,0 +1,342 @@
+// @ts-nocheck
+(function () {
+    // C# keywords (and contextual keywords) colored in patterns; a copy of the list in src/PatternGeneralizer.ts, which a test compares
+    const KEYWORDS = new Set([
+        'abstract', 'as', 'base', 'bool', 'break', 'byte', 'case', 'catch', 'char', 'checked', 'class', 'const',
+        'continue', 'decimal', 'default', 'delegate', 'do', 'double', 'else', 'enum', 'event', 'explicit', 'extern',
+        'false', 'finally', 'fixed', 'float', 'for', 'foreach', 'goto', 'if', 'implicit', 'in', 'int', 'interface',
+        'internal', 'is', 'lock', 'long', 'namespace', 'new', 'null', 'object', 'operator', 'out', 'override', 'params',
+        'private', 'protected', 'public', 'readonly', 'ref', 'return', 'sbyte', 'sealed', 'short', 'sizeof', 'stackalloc',
+        'static', 'string', 'struct', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'uint', 'ulong', 'unchecked',
+        'unsafe', 'ushort', 'using', 'virtual', 'void', 'volatile', 'while',
+        'and', 'async', 'await', 'dynamic', 'get', 'init', 'let', 'nameof', 'nint', 'not', 'nuint', 'or', 'record',
+        'set', 'value', 'var', 'when', 'with', 'yield'
+    ]);
+
+    // Token kinds in the order they are tried at each position; anything else is a single plain character
+    const TOKEN_PATTERNS = [
+        ['placeholder', /\$[A-Za-z_][A-Za-z0-9_]*\$/y],
+        ['comment', /\/\/[^\n]*|\/\*[\s\S]*?(\*\/|$)/y],
+        ['string', /@"(?:[^"]|"")*"?|"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/y],
+        ['number', /\d[\w]*(?:\.\d\w*)?/y],
+        ['identifier', /@?[A-Za-z_][A-Za-z0-9_]*/y],
+        ['bracket', /[()[\]{}]/y]
+    ];
+
+    const OPENING_BRACKETS = { '(': ')', '[': ']', '{': '}' };
+    const CLOSING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+    const INDENT = '    ';
+
+    // Split a pattern into colored tokens: placeholders, comments, literals, keywords, invoked names and brackets
+    function tokenize(text) {
+        const tokens = [];
+        let position = 0;
+
+        while (position < text.length) {
+            let token = null;
+            for (const [type, regex] of TOKEN_PATTERNS) {
+                regex.lastIndex = position;
+                const match = regex.exec(text);
+                if (match && match[0].length > 0) {
+                    token = { type, start: position, end: position + match[0].length };
+                    break;
+                }
+            }
+
+            if (!token) {
+                position++;
+                continue;
+            }
+
+            if (token.type === 'identifier') {
+                const name = text.slice(token.start, token.end);
+                if (KEYWORDS.has(name)) {
+                    token.type = 'keyword';
+                } else if (/^\s*\(/.test(text.slice(token.end))) {
+                    token.type = 'method';
+                }
+            }
+
+            tokens.push(token);
+            position = token.end;
+        }
+
+        return tokens;
+    }
+
+    // Pair up the bracket tokens; brackets without a partner are returned as unmatched
+    function matchBrackets(text, tokens) {
+        const pairs = new Map();
+        const unmatched = [];
+        const open = [];
+
+        tokens.filter(token => token.type === 'bracket').forEach(token => {
+            const char = text[token.start];
+            if (OPENING_BRACKETS[char]) {
+                open.push(token.start);
+            } else if (open.length > 0 && text[open[open.length - 1]] === CLOSING_BRACKETS[char]) {
+                const start = open.pop();
+                pairs.set(start, token.start);
+                pairs.set(token.start, start);
+            } else {
+                unmatched.push(token.start);
+            }
+        });
+
+        return { pairs, unmatched: unmatched.concat(open) };
+    }
+
+    /**
+     * Turn a textarea inside a .pattern-editor element into a pattern editor: the text is colored through a layer
+     * drawn behind the (transparent) textarea, the bracket next to the caret is matched, problems are underlined,
+     * Enter keeps the indentation and the textarea grows with its lines.
+     * options.completions, when given, returns the placeholder names offered after typing "$".
+     * Setting the textarea's value from code must be followed by refresh().
+     */
+    function createPatternEditor(textarea, options) {
+        const completions = options && options.completions;
+        const container = textarea.parentElement;
+
+        const highlight = document.createElement('div');
+        highlight.className = 'pattern-highlight';
+        highlight.setAttribute('aria-hidden', 'true');
+        container.insertBefore(highlight, textarea);
+
+        const suggestList = document.createElement('ul');
+        suggestList.className = 'pattern-completions hidden';
+        suggestList.setAttribute('role', 'listbox');
+        container.appendChild(suggestList);
+
+        const minRows = textarea.rows || 3;
+        let problems = [];
+        let suggestions = [];
+        let activeSuggestion = 0;
+
+        function render() {
+            const text = textarea.value;
+            const caret = document.activeElement === textarea && textarea.selectionStart === textarea.selectionEnd
+                ? textarea.selectionStart
+                : -1;
+            const classes = new Array(text.length).fill('');
+            const addClass = (start, end, name) => {
+                for (let i = Math.max(start, 0); i < Math.min(end, text.length); i++) {
+                    classes[i] += ' ' + name;
+                }
+            };
+
+            const tokens = tokenize(text);
+            tokens.forEach(token => addClass(token.start, token.end, `token-${token.type}`));
+
+            const brackets = matchBrackets(text, tokens);
+            brackets.unmatched.forEach(index => addClass(index, index + 1, 'bracket-unmatched'));
+            [caret - 1, caret].some(index => {
+                if (!brackets.pairs.has(index)) {
+                    return false;
+                }
+                addClass(index, index + 1, 'bracket-match');
+                addClass(brackets.pairs.get(index), brackets.pairs.get(index) + 1, 'bracket-match');
+                return true;
+            });
+
+            problems.forEach(problem => addClass(problem.position, Math.max(problem.position + problem.length, problem.position + 1), 'pattern-marker'));
+
+            // Runs of characters with the same classes become one span; the anchor marks the caret for the completion list
+            let html = '';
+            let runStart = 0;
+            for (let i = 1; i <= text.length; i++) {
+                if (i === text.length || classes[i] !== classes[runStart] || i === caret) {
+                    const run = escapeHtml(text.slice(runStart, i));
+                    html += classes[runStart] ? `<span class="${classes[runStart].trim()}">${run}</span>` : run;
+                    runStart = i;
+                }
+                if (i === caret) {
+                    html += '<span class="caret-anchor"></span>';
+                }
+            }
+            if (caret === 0) {
+                html = '<span class="caret-anchor"></span>' + html;
+            }
+
+            // The trailing space gives a final empty line its height, as in the textarea
+            highlight.innerHTML = html + ' ';
+
+            // Wrap at the same width as the textarea when it shows a scrollbar
+            const scrollbarWidth = textarea.offsetWidth - textarea.clientWidth - 2;
+            highlight.style.borderRightWidth = `${1 + Math.max(scrollbarWidth, 0)}px`;
+            highlight.scrollTop = textarea.scrollTop;
+        }
+
+        // Grow with the pattern's lines, up to a limit; a height set by resizing the textarea wins
+        function fitRows() {
+            const lines = textarea.value.split('\n').length;
+            textarea.rows = Math.min(Math.max(lines, minRows), 20);
+        }
+
+        function refresh() {
+            fitRows();
+            render();
+            updateSuggestions();
+        }
+
+        function setProblems(newProblems) {
+            problems = newProblems || [];
+            render();
+        }
+
+        // Insert text at the caret the way typing does, so it can be undone
+        function insertText(text) {
+            if (!document.execCommand('insertText', false, text)) {
+                textarea.setRangeText(text, textarea.selectionStart, textarea.selectionEnd, 'end');
+                textarea.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+        }
+
+        // An opening "$" and the name typed after it, directly before the caret
+        function getTypedPlaceholder() {
+            const before = textarea.value.slice(0, textarea.selectionStart);
+            const match = /\$([A-Za-z0-9_]*)$/.exec(before);
+            if (!match || textarea.selectionStart !== textarea.selectionEnd) {
+                return null;
+            }
+
+            // An odd number of "$" before this one means it closes a placeholder
+            const dollarsBefore = (before.slice(0, match.index).match(/\$/g) || []).length;
+            return dollarsBefore % 2 === 0 ? { start: match.index, prefix: match[1] } : null;
+        }
+
+        function updateSuggestions() {
+            const typed = completions && document.activeElement === textarea ? getTypedPlaceholder() : null;
+            const prefix = typed ? typed.prefix.toLowerCase() : '';
+            suggestions = typed
+                ? completions().filter(name => name.toLowerCase().startsWith(prefix) && name !== typed.prefix)
+                : [];
+            activeSuggestion = Math.min(activeSuggestion, Math.max(suggestions.length - 1, 0));
+
+            suggestList.innerHTML = '';
+            if (suggestions.length === 0) {
+                suggestList.classList.add('hidden');
+                return;
+            }
+
+            suggestions.forEach((name, index) => {
+                const item = document.createElement('li');
+                item.textContent = `$${name}$`;
+                item.setAttribute('role', 'option');
+                if (index === activeSuggestion) {
+                    item.classList.add('active');
+                    item.setAttribute('aria-selected', 'true');
+                }
+                // mousedown, not click: the textarea must keep the focus
+                item.addEventListener('mousedown', e => {
+                    e.preventDefault();
+                    acceptSuggestion(index);
+                });
+                suggestList.appendChild(item);
+            });
+
+            const anchor = highlight.querySelector('.caret-anchor');
+            if (anchor) {
+                const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 18;
+                suggestList.style.top = `${anchor.offsetTop - highlight.scrollTop + lineHeight}px`;
+                suggestList.style.left = `${Math.min(anchor.offsetLeft, Math.max(container.clientWidth - 160, 0))}px`;
+            }
+            suggestList.classList.remove('hidden');
+        }
+
+        function acceptSuggestion(index) {
+            const typed = getTypedPlaceholder();
+            const name = suggestions[index];
+            if (!typed || !name) {
+                return;
+            }
+
+            // Replace what was typed after "$", reusing a closing "$" right after the caret
+            const closed = textarea.value[textarea.selectionStart] === '$';
+            textarea.setSelectionRange(typed.start + 1, textarea.selectionStart + (closed ? 1 : 0));
+            insertText(`${name}$`);
+            closeSuggestions();
+        }
+
+        function closeSuggestions() {
+            suggestions = [];
+            activeSuggestion = 0;
+            suggestList.innerHTML = '';
+            suggestList.classList.add('hidden');
+        }
+
+        // Keep the indentation of the current line on Enter, indenting once more after "{"
+        function insertNewLine() {
+            const before = textarea.value.slice(0, textarea.selectionStart);
+            const line = before.slice(before.lastIndexOf('\n') + 1);
+            const indent = /^\s*/.exec(line)[0] + (/\{\s*$/.test(line) ? INDENT : '');
+            insertText('\n' + indent);
+        }
+
+        // Registered before the panel's own handlers, so keys used by the completion list stop here
+        textarea.addEventListener('keydown', e => {
+            const modified = e.altKey || e.ctrlKey || e.metaKey;
+            if (suggestions.length > 0 && !modified) {
+                let handled = true;
+                if (e.key === 'ArrowDown') {
+                    activeSuggestion = (activeSuggestion + 1) % suggestions.length;
+                    updateSuggestions();
+                } else if (e.key === 'ArrowUp') {
+                    activeSuggestion = (activeSuggestion - 1 + suggestions.length) % suggestions.length;
+                    updateSuggestions();
+                } else if (e.key === 'Enter' || e.key === 'Tab') {
+                    acceptSuggestion(activeSuggestion);
+                } else if (e.key === 'Escape') {
+                    closeSuggestions();
+                } else {
+                    handled = false;
+                }
+
+                if (handled) {
+                    e.preventDefault();
+                    e.stopImmediatePropagation();
+                    return;
+                }
+            }
+
+            if (e.key === 'Enter' && !modified && !e.shiftKey) {
+                e.preventDefault();
+                insertNewLine();
+            }
+        });
+
+        textarea.addEventListener('input', () => {
+            activeSuggestion = 0;
+            refresh();
+        });
+        textarea.addEventListener('scroll', () => {
+            highlight.scrollTop = textarea.scrollTop;
+        });
+        // The caret moved: the matched bracket and the completion list follow it
+        ['click', 'focus', 'keyup'].forEach(type => textarea.addEventListener(type, e => {
+            if (e.type !== 'keyup' || /^(Arrow|Home|End|Page)/.test(e.key)) {
+                render();
+                updateSuggestions();
+            }
+        }));
+        textarea.addEventListener('blur', () => {
+            closeSuggestions();
+            render();
+        });
+        new ResizeObserver(() => render()).observe(textarea);
+
+        refresh();
+
+        return { refresh, setProblems };
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    window.createPatternEditor = createPatternEditor;
+    // The tokenizer does not use the page, so the extension's tests run it outside the webview
+    window.patternSyntax = { KEYWORDS, tokenize, matchBrackets };
+})();
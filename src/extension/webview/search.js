@@ -6,14 +6,35 @@
     // DOM Elements
     const patternInput = document.getElementById('pattern-input');
     const replaceInput = document.getElementById('replace-input');
+    const patternProblems = document.getElementById('pattern-problems');
+    const replaceProblems = document.getElementById('replace-problems');
+    const placeholderSummary = document.getElementById('placeholder-summary');
+    // Created before init() adds the panel's key handlers, so the editors' completion keys take precedence
+    const patternEditor = createPatternEditor(patternInput);
+    const replaceEditor = createPatternEditor(replaceInput, { completions: () => getPlaceholderNames(patternInput.value) });
     const searchButton = document.getElementById('search-button');
     const previewButton = document.getElementById('preview-button');
     const applyButton = document.getElementById('apply-button');
+    const stopButton = document.getElementById('stop-button');
+    const savePatternButton = document.getElementById('save-pattern-button');
+    const historySelect = document.getElementById('history-select');
     const clearButton = document.getElementById('clear-button');
     const matchCaseCheckbox = document.getElementById('match-case');
     const wholeWordCheckbox = document.getElementById('whole-word');
+    const folderLabel = document.getElementById('folder-label');
+    const folderSelect = document.getElementById('folder-select');
+    const scopeSelect = document.getElementById('scope-select');
+    const projectSelect = document.getElementById('project-select');
+    const folderFilterInput = document.getElementById('folder-filter-input');
+    const includeInput = document.getElementById('include-input');
+    const excludeInput = document.getElementById('exclude-input');
+    const useExcludeSettingsCheckbox = document.getElementById('use-exclude-settings');
+    const parallelismInput = document.getElementById('parallelism-input');
+    const constraintsSection = document.getElementById('constraints-section');
+    const constraintsContainer = document.getElementById('constraints-container');
     const resultsContainer = document.getElementById('results-container');
     const resultsCount = document.getElementById('results-count');
+    const matchModeLabel = document.getElementById('match-mode');
     const statusMessage = document.getElementById('status-message');
     const detailsPanel = document.getElementById('details-panel');
     const detailsContent = document.getElementById('details-content');
@@ -25,14 +46,44 @@
     let currentSearchResults = [];
     let currentReplacementResults = [];
     let currentApplicationResults = [];
+    // Indexes into currentReplacementResults of the replacements that Apply writes
+    let selectedReplacements = new Set();
     let currentMode = 'search'; // 'search', 'preview', 'applied'
     let selectedResultIndex = -1;
+    let lastProgressMessage = '';
+    let workspaceFolders = [];
+    // Kind and constraints by placeholder name; names no longer in the pattern are kept but not sent
+    let placeholderConstraints = {};
+    // Placeholder names the constraint editor lists, so typing only rebuilds it when they change
+    let renderedPlaceholders = null;
+    // The backend's check of the inputs identified by its key; the local syntax check applies while it is out of date
+    let validation = null;
+    let validationTimer = undefined;
+    // Recent searches, most recent first, and the one recalled with the arrow keys (-1: the text being typed)
+    let history = [];
+    let historyPosition = -1;
+    let historyDraft = null;
+    const rootGroups = new Map();
+
+    // Pause in typing before the patterns are sent to the backend for checking
+    const VALIDATION_DELAY_MS = 300;
+
+    // Placeholder kinds the backend accepts
+    const PLACEHOLDER_KINDS = ['expression', 'identifier', 'statement', 'arguments', 'type', 'member'];
+    // Name parts the backend infers a kind from when none is set, in the order it checks them
+    const INFERRED_KINDS = [
+        ['expr', 'expression'], ['stmt', 'statement'], ['arg', 'arguments'], ['type', 'type'], ['member', 'member'],
+        ['var', 'identifier'], ['name', 'identifier'], ['id', 'identifier']
+    ];
 
     // Initialize event listeners
     function init() {
         searchButton.addEventListener('click', handleSearch);
         previewButton.addEventListener('click', handlePreview);
         applyButton.addEventListener('click', handleApply);
+        stopButton.addEventListener('click', handleStop);
+        savePatternButton.addEventListener('click', handleSavePattern);
+        historySelect.addEventListener('change', handleHistorySelect);
         clearButton.addEventListener('click', handleClear);
         closeDetailsButton.addEventListener('click', hideDetails);
 
@@ -48,6 +99,8 @@
             if (e.key === 'Enter' && e.ctrlKey) {
                 e.preventDefault();
                 handleSearch();
+            } else {
+                handleHistoryKey(e);
             }
         });
 
@@ -57,6 +110,8 @@
                 if (!previewButton.disabled) {
                     handlePreview();
                 }
+            } else {
+                handleHistoryKey(e);
             }
         });
 
@@ -64,8 +119,21 @@
         patternInput.addEventListener('change', updateUi);
         replaceInput.addEventListener('change', updateUi);
 
+        // Typing leaves history recall; any edit of the form is kept across webview reloads
+        [patternInput, replaceInput].forEach(input => input.addEventListener('input', () => {
+            historyPosition = -1;
+            scheduleValidation();
+        }));
+        patternInput.addEventListener('input', () => renderConstraintEditor(false));
+        document.querySelector('.search-section').addEventListener('input', saveState);
+        document.querySelector('.search-section').addEventListener('change', saveState);
+        restoreState(vscode.getState());
+
         // Handle messages from extension
         window.addEventListener('message', handleMessage);
+
+        // Ask the extension for the workspace folders now that we can receive them
+        vscode.postMessage({ type: 'ready' });
     }
 
     // Update UI button states
@@ -76,8 +144,8 @@
         // Preview button enabled if we have results and replacement pattern
         previewButton.disabled = !(currentSearchResults.length > 0 && hasReplacePattern);
         
-        // Apply button enabled if we have replacement previews
-        applyButton.disabled = currentReplacementResults.length === 0;
+        // Apply button enabled if at least one previewed replacement is selected
+        applyButton.disabled = selectedReplacements.size === 0;
     }
 
     // Handle search button click
@@ -90,26 +158,52 @@
             return;
         }
 
-        if (!validatePattern(pattern)) {
-            showStatus('Invalid pattern syntax. Use $name$ for placeholders.', 'error');
+        const patternError = getPatternError('pattern');
+        if (patternError) {
+            showStatus(patternError, 'error');
             return;
         }
 
         // Clear previous results
+        const options = getSearchOptions();
         clearResults();
+        showMatchMode(options);
         currentMode = 'search';
         resultsModeSelector.classList.add('hidden');
         showStatus('Searching...', 'info');
         setLoading(true);
+        setRunning(true);
 
-        // Send search request to extension
+        historyPosition = -1;
+
+        // Send search request to extension; the replace pattern is only recorded in the history
         vscode.postMessage({
             type: 'search',
             pattern: pattern,
-            options: {
-                matchCase: matchCaseCheckbox.checked,
-                wholeWord: wholeWordCheckbox.checked
-            }
+            replacePattern: replaceInput.value.trim(),
+            options: options
+        });
+    }
+
+    // Handle save pattern button click: the extension asks for the catalog details
+    function handleSavePattern() {
+        const pattern = patternInput.value.trim();
+        if (!pattern) {
+            showStatus('Please enter a search pattern', 'error');
+            return;
+        }
+
+        const patternError = getPatternError('pattern');
+        if (patternError) {
+            showStatus(patternError, 'error');
+            return;
+        }
+
+        vscode.postMessage({
+            type: 'savePattern',
+            pattern: pattern,
+            replacePattern: replaceInput.value.trim(),
+            constraints: getPatternConstraints()
         });
     }
 
@@ -128,68 +222,432 @@
             return;
         }
 
-        if (!validatePattern(pattern)) {
-            showStatus('Invalid search pattern syntax', 'error');
-            return;
-        }
-
-        if (!validatePattern(replacePattern)) {
-            showStatus('Invalid replacement pattern syntax', 'error');
+        const patternError = getPatternError('pattern') || getPatternError('replace');
+        if (patternError) {
+            showStatus(patternError, 'error');
             return;
         }
 
+        const options = getSearchOptions();
+        showMatchMode(options);
         showStatus('Generating replacement preview...', 'info');
+        historyPosition = -1;
         previewButton.disabled = true;
         currentMode = 'preview';
+        setRunning(true);
 
         // Send replacement preview request
         vscode.postMessage({
             type: 'preview',
             pattern: pattern,
             replacePattern: replacePattern,
-            options: {
-                matchCase: matchCaseCheckbox.checked,
-                wholeWord: wholeWordCheckbox.checked
-            }
+            options: options
         });
     }
 
-    // Handle apply button click
-    async function handleApply() {
-        const confirmMsg = `Apply ${currentReplacementResults.length} replacement(s) to ${new Set(currentReplacementResults.map(r => r.filePath)).size} file(s)?`;
-        
-        // Simple prompt for confirmation
-        if (!confirm(confirmMsg)) {
+    // Handle apply button click: the selected previewed replacements are sent back as-is,
+    // and confirmed in VS Code's refactor preview before anything is written
+    function handleApply() {
+        const replacements = currentReplacementResults.filter((_, index) => selectedReplacements.has(index));
+        if (replacements.length === 0) {
+            showStatus('Select at least one replacement to apply', 'error');
             return;
         }
 
-        const pattern = patternInput.value.trim();
-        const replacePattern = replaceInput.value.trim();
-
-        showStatus('Applying changes...', 'info');
+        showStatus('Review the changes in the Refactor Preview...', 'info');
         applyButton.disabled = true;
+        setRunning(true);
 
         // Send apply request
         vscode.postMessage({
             type: 'apply',
-            pattern: pattern,
-            replacePattern: replacePattern,
-            options: {
-                matchCase: matchCaseCheckbox.checked,
-                wholeWord: wholeWordCheckbox.checked
+            pattern: patternInput.value.trim(),
+            replacePattern: replaceInput.value.trim(),
+            replacements: replacements
+        });
+    }
+
+    // Handle stop button click
+    function handleStop() {
+        stopButton.disabled = true;
+        showStatus('Stopping...', 'info');
+        vscode.postMessage({ type: 'cancel' });
+    }
+
+    // Collect the search options from the form
+    function getSearchOptions() {
+        const parallelism = parseInt(parallelismInput.value, 10);
+
+        return {
+            matchCase: matchCaseCheckbox.checked,
+            wholeWord: wholeWordCheckbox.checked,
+            folder: folderSelect.value || undefined,
+            scope: scopeSelect.value,
+            project: projectSelect.value || undefined,
+            folderFilter: folderFilterInput.value.trim() || undefined,
+            include: splitGlobs(includeInput.value),
+            exclude: splitGlobs(excludeInput.value),
+            useExcludeSettings: useExcludeSettingsCheckbox.checked,
+            maxParallelism: parallelism > 0 ? parallelism : undefined,
+            constraints: getPatternConstraints()
+        };
+    }
+
+    // Constraints of the placeholders in the search pattern, or undefined when none is set
+    function getPatternConstraints() {
+        const constraints = {};
+        getPlaceholderNames(patternInput.value).forEach(name => {
+            if (placeholderConstraints[name]) {
+                constraints[name] = placeholderConstraints[name];
+            }
+        });
+
+        return Object.keys(constraints).length > 0 ? constraints : undefined;
+    }
+
+    // Distinct placeholder names of a pattern, in order of appearance
+    function getPlaceholderNames(pattern) {
+        const names = [];
+        for (const match of pattern.matchAll(/\$([a-zA-Z_][a-zA-Z0-9_]*)\$/g)) {
+            if (!names.includes(match[1])) {
+                names.push(match[1]);
             }
+        }
+        return names;
+    }
+
+    // Kind the backend gives a placeholder without an explicit one
+    function inferPlaceholderKind(name) {
+        const lower = name.toLowerCase();
+        const inferred = INFERRED_KINDS.find(([part]) => lower.includes(part));
+        return inferred ? inferred[1] : 'any';
+    }
+
+    // List the search pattern's placeholders with their kind and constraints
+    function renderConstraintEditor(force) {
+        const names = getPlaceholderNames(patternInput.value);
+        const key = names.join(',');
+        if (!force && key === renderedPlaceholders) {
+            return;
+        }
+        renderedPlaceholders = key;
+
+        constraintsContainer.innerHTML = '';
+        names.forEach(name => constraintsContainer.appendChild(createConstraintRow(name)));
+
+        if (names.length > 0) {
+            constraintsSection.classList.remove('hidden');
+        } else {
+            constraintsSection.classList.add('hidden');
+        }
+    }
+
+    function createConstraintRow(name) {
+        const constraints = placeholderConstraints[name] || {};
+        const kindOptions = PLACEHOLDER_KINDS
+            .map(kind => `<option value="${kind}">${kind.charAt(0).toUpperCase() + kind.slice(1)}</option>`)
+            .join('');
+
+        const row = document.createElement('div');
+        row.className = 'constraint-row';
+        row.innerHTML = `
+            <span class="constraint-name">$${escapeHtml(name)}$</span>
+            <select class="scope-select" data-field="kind" title="Kind of syntax the placeholder matches">
+                <option value="">Auto (${inferPlaceholderKind(name)})</option>
+                ${kindOptions}
+            </select>
+            <input type="text" class="scope-input" data-field="type" placeholder="Type, e.g. string"
+                title="Type the matched expression must have" spellcheck="false">
+            <input type="text" class="scope-input" data-field="regex" placeholder="Regex"
+                title="Regular expression (.NET syntax) the matched text must match" spellcheck="false">
+            <input type="number" class="scope-input constraint-count" data-field="minCount" min="0" placeholder="Min"
+                title="Minimum number of matched items, e.g. arguments">
+            <input type="number" class="scope-input constraint-count" data-field="maxCount" min="0" placeholder="Max"
+                title="Maximum number of matched items, e.g. arguments">
+            <input type="text" class="scope-input" data-field="exact" placeholder="Exact text"
+                title="Text the matched code must equal" spellcheck="false">
+        `;
+
+        row.querySelectorAll('[data-field]').forEach(input => {
+            const value = constraints[input.dataset.field];
+            input.value = value === undefined || value === null ? '' : String(value);
+            input.addEventListener('input', () => updateConstraint(name, input.dataset.field, input.value));
         });
+
+        return row;
+    }
+
+    // Store an edited constraint field; empty fields are left out, and so are placeholders without any
+    function updateConstraint(name, field, text) {
+        const constraints = Object.assign({}, placeholderConstraints[name]);
+        let value = text.trim() === '' ? undefined : text;
+        if (value !== undefined && (field === 'minCount' || field === 'maxCount')) {
+            const count = parseInt(value, 10);
+            value = count >= 0 ? count : undefined;
+        }
+
+        if (value === undefined) {
+            delete constraints[field];
+        } else {
+            constraints[field] = value;
+        }
+
+        if (Object.keys(constraints).length > 0) {
+            placeholderConstraints[name] = constraints;
+        } else {
+            delete placeholderConstraints[name];
+        }
+        scheduleValidation();
+    }
+
+    // Identifies the inputs a backend check was requested for
+    function getValidationKey() {
+        return JSON.stringify([patternInput.value, replaceInput.value, getPatternConstraints() || null]);
+    }
+
+    // Have the backend check the patterns once typing pauses
+    function scheduleValidation() {
+        clearTimeout(validationTimer);
+        validationTimer = setTimeout(requestValidation, VALIDATION_DELAY_MS);
+    }
+
+    function requestValidation() {
+        if (!patternInput.value.trim()) {
+            validation = null;
+            renderValidation();
+            return;
+        }
+
+        vscode.postMessage({
+            type: 'validate',
+            key: getValidationKey(),
+            pattern: patternInput.value,
+            replacePattern: replaceInput.value,
+            constraints: getPatternConstraints()
+        });
+    }
+
+    // Show the backend's check, unless the inputs changed since it was requested (a newer one is on its way)
+    function handleValidation(message) {
+        if (message.key !== getValidationKey()) {
+            return;
+        }
+
+        validation = message.result ? Object.assign({ key: message.key }, message.result) : null;
+        renderValidation();
+    }
+
+    function renderValidation() {
+        renderProblems(patternInput, patternEditor, patternProblems, validation ? validation.patternErrors : []);
+        renderProblems(replaceInput, replaceEditor, replaceProblems, validation ? validation.replaceErrors : []);
+
+        const placeholders = validation ? validation.placeholders : [];
+        placeholderSummary.innerHTML = '';
+        placeholders.forEach(placeholder => {
+            const chip = document.createElement('span');
+            chip.className = 'placeholder-chip';
+            chip.textContent = `$${placeholder.name}$ ${placeholder.kind}` + (placeholder.count > 1 ? ` ×${placeholder.count}` : '');
+            placeholderSummary.appendChild(chip);
+        });
+
+        if (placeholders.length > 0) {
+            placeholderSummary.classList.remove('hidden');
+        } else {
+            placeholderSummary.classList.add('hidden');
+        }
+    }
+
+    // Underline the problems in an input's editor and list their messages below it
+    function renderProblems(input, editor, list, problems) {
+        editor.setProblems(problems);
+
+        list.innerHTML = '';
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            item.textContent = problem.message;
+            item.title = 'Select in the pattern';
+            item.addEventListener('click', () => {
+                input.focus();
+                input.setSelectionRange(problem.position, problem.position + problem.length);
+            });
+            list.appendChild(item);
+        });
+
+        if (problems.length > 0) {
+            list.classList.remove('hidden');
+        } else {
+            list.classList.add('hidden');
+        }
+    }
+
+    // Why a pattern cannot be run: the backend's first error when its check is up to date, the local syntax check otherwise
+    function getPatternError(source) {
+        const isReplace = source === 'replace';
+        if (validation && validation.key === getValidationKey()) {
+            const errors = isReplace ? validation.replaceErrors : validation.patternErrors;
+            return errors.length > 0 ? errors[0].message : '';
+        }
+
+        if (validatePattern((isReplace ? replaceInput : patternInput).value.trim())) {
+            return '';
+        }
+        return isReplace ? 'Invalid replacement pattern syntax' : 'Invalid pattern syntax. Use $name$ for placeholders.';
+    }
+
+    // Split a comma-separated glob list, keeping commas inside {a,b} groups
+    function splitGlobs(text) {
+        const globs = [];
+        let current = '';
+        let depth = 0;
+
+        for (const char of text) {
+            if (char === ',' && depth === 0) {
+                globs.push(current);
+                current = '';
+                continue;
+            }
+            if (char === '{') {
+                depth++;
+            } else if (char === '}' && depth > 0) {
+                depth--;
+            }
+            current += char;
+        }
+        globs.push(current);
+
+        return globs.map(glob => glob.trim()).filter(glob => glob.length > 0);
+    }
+
+    // Fill the form with a history entry's patterns and placeholder constraints, and its other options
+    // when picked from the Recent list
+    function applyHistoryEntry(entry, withOptions) {
+        patternInput.value = entry.pattern || '';
+        replaceInput.value = entry.replacePattern || '';
+        patternEditor.refresh();
+        replaceEditor.refresh();
+        placeholderConstraints = Object.assign({}, entry.options && entry.options.constraints);
+        renderConstraintEditor(true);
+        scheduleValidation();
+
+        if (withOptions && entry.options) {
+            const options = entry.options;
+            matchCaseCheckbox.checked = options.matchCase !== false;
+            wholeWordCheckbox.checked = !!options.wholeWord;
+            setSelectValue(folderSelect, options.folder || '');
+            scopeSelect.value = options.scope || 'workspace';
+            setSelectValue(projectSelect, options.project || '');
+            folderFilterInput.value = options.folderFilter || '';
+            includeInput.value = (options.include || []).join(', ');
+            excludeInput.value = (options.exclude || []).join(', ');
+            useExcludeSettingsCheckbox.checked = options.useExcludeSettings !== false;
+            parallelismInput.value = options.maxParallelism || '';
+        }
+
+        updateUi();
+        saveState();
+    }
+
+    // Up/Down on the first/last line of a pattern input walk through the history
+    function handleHistoryKey(e) {
+        if ((e.key !== 'ArrowUp' && e.key !== 'ArrowDown') || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) {
+            return;
+        }
+
+        const input = e.target;
+        const onFirstLine = input.value.lastIndexOf('\n', input.selectionStart - 1) === -1;
+        const onLastLine = input.value.indexOf('\n', input.selectionEnd) === -1;
+        if ((e.key === 'ArrowUp' && !onFirstLine) || (e.key === 'ArrowDown' && !onLastLine)) {
+            return;
+        }
+
+        const position = historyPosition + (e.key === 'ArrowUp' ? 1 : -1);
+        if (position < -1 || position >= history.length) {
+            return;
+        }
+
+        e.preventDefault();
+        if (historyPosition === -1) {
+            // Keep what was being typed so Down brings it back
+            historyDraft = {
+                pattern: patternInput.value,
+                replacePattern: replaceInput.value,
+                options: { constraints: getPatternConstraints() }
+            };
+        }
+        historyPosition = position;
+        applyHistoryEntry(position === -1 ? historyDraft : history[position], false);
+    }
+
+    // Load an entry picked from the Recent list
+    function handleHistorySelect() {
+        const value = historySelect.value;
+        historySelect.value = '';
+
+        if (value === 'clear') {
+            vscode.postMessage({ type: 'clearHistory' });
+        } else if (value !== '') {
+            historyPosition = -1;
+            applyHistoryEntry(history[parseInt(value, 10)], true);
+            patternInput.focus();
+        }
+    }
+
+    // Refresh the Recent list
+    function updateHistory(entries) {
+        history = entries || [];
+        historyPosition = -1;
+
+        historySelect.innerHTML = '';
+        historySelect.appendChild(new Option(history.length > 0 ? 'Recent…' : 'No recent searches', ''));
+        history.forEach((entry, index) => {
+            const label = entry.replacePattern ? `${entry.pattern} → ${entry.replacePattern}` : entry.pattern;
+            const option = new Option(label.replace(/\s+/g, ' '), String(index));
+            option.title = label;
+            historySelect.appendChild(option);
+        });
+        if (history.length > 0) {
+            historySelect.appendChild(new Option('Clear history', 'clear'));
+        }
+    }
+
+    // Select a folder or project that may only be listed once the extension sends the pickers' options
+    function setSelectValue(select, value) {
+        select.value = value;
+        select.dataset.wanted = select.value === value ? '' : value;
+    }
+
+    // Remember the form so it survives the webview being reloaded
+    function saveState() {
+        vscode.setState({
+            pattern: patternInput.value,
+            replacePattern: replaceInput.value,
+            options: getSearchOptions()
+        });
+    }
+
+    function restoreState(state) {
+        if (!state) {
+            return;
+        }
+
+        applyHistoryEntry(state, true);
     }
 
     // Handle clear button click
     function handleClear() {
         patternInput.value = '';
         replaceInput.value = '';
+        patternEditor.refresh();
+        replaceEditor.refresh();
+        placeholderConstraints = {};
+        renderConstraintEditor(true);
+        scheduleValidation();
         clearResults();
         hideStatus();
         hideDetails();
         patternInput.focus();
         updateUi();
+        saveState();
     }
 
     // Validate pattern syntax
@@ -224,8 +682,11 @@
         const message = event.data;
 
         switch (message.type) {
-            case 'searchResults':
-                handleSearchResults(message.results);
+            case 'searchResultsChunk':
+                handleSearchResultsChunk(message.results);
+                break;
+            case 'searchComplete':
+                handleSearchComplete(message);
                 break;
             case 'replacementResults':
                 handleReplacementResults(message.results);
@@ -243,15 +704,198 @@
                 handleApplicationError(message.error);
                 break;
             case 'searchProgress':
-                showStatus(message.message, 'info');
+                handleProgress(message.message);
+                break;
+            case 'workspaceFolders':
+                updateWorkspaceFolders(message.folders);
+                break;
+            case 'projects':
+                updateProjects(message.projects);
+                break;
+            case 'loadPattern':
+                handleLoadPattern(message);
+                break;
+            case 'previewAgain':
+                handlePreview();
+                break;
+            case 'setScope':
+                handleSetScope(message);
+                break;
+            case 'history':
+                updateHistory(message.entries);
+                break;
+            case 'selectResult':
+                handleSelectResult(message.index);
+                break;
+            case 'operationCancelled':
+                handleOperationCancelled(message.operation);
+                break;
+            case 'validation':
+                handleValidation(message);
+                break;
+        }
+    }
+
+    // Refresh the folder picker when workspace folders are added or removed
+    function updateWorkspaceFolders(folders) {
+        workspaceFolders = folders || [];
+        const selected = folderSelect.dataset.wanted || folderSelect.value;
+        folderSelect.dataset.wanted = '';
+
+        folderSelect.innerHTML = '';
+        folderSelect.appendChild(new Option('All workspace folders', ''));
+        workspaceFolders.forEach(folder => {
+            folderSelect.appendChild(new Option(folder.name, folder.path));
+        });
+
+        // Keep the selection unless its folder was removed
+        folderSelect.value = workspaceFolders.some(folder => folder.path === selected) ? selected : '';
+
+        if (workspaceFolders.length > 1) {
+            folderLabel.classList.remove('hidden');
+        } else {
+            folderLabel.classList.add('hidden');
+        }
+    }
+
+    // Fill the inputs with a pattern picked from the catalog
+    function handleLoadPattern(message) {
+        patternInput.value = message.pattern || '';
+        replaceInput.value = message.replacePattern || '';
+        patternEditor.refresh();
+        replaceEditor.refresh();
+        placeholderConstraints = Object.assign({}, message.constraints);
+        renderConstraintEditor(true);
+        scheduleValidation();
+        patternInput.focus();
+        updateUi();
+        saveState();
+
+        if (message.run) {
+            handleSearch();
+        }
+    }
+
+    // Scope the search to a folder picked in the Explorer
+    function handleSetScope(message) {
+        setSelectValue(folderSelect, message.folder || '');
+        scopeSelect.value = 'workspace';
+        setSelectValue(projectSelect, '');
+        folderFilterInput.value = '';
+        includeInput.value = (message.include || []).join(', ');
+        document.querySelector('.scope-section').open = true;
+        patternInput.focus();
+        saveState();
+    }
+
+    // Refresh the project picker with the discovered .csproj files
+    function updateProjects(projects) {
+        const selected = projectSelect.dataset.wanted || projectSelect.value;
+        projectSelect.dataset.wanted = '';
+
+        projectSelect.innerHTML = '';
+        projectSelect.appendChild(new Option('All projects', ''));
+        (projects || []).forEach(project => {
+            projectSelect.appendChild(new Option(project.name, project.path));
+        });
+
+        projectSelect.value = (projects || []).some(project => project.path === selected) ? selected : '';
+    }
+
+    // Get the element a result is added to: its root's group when several folders are open
+    function getResultsParent(root) {
+        if (workspaceFolders.length <= 1 || !root) {
+            return resultsContainer;
+        }
+
+        // Groups are dropped whenever the results container is cleared
+        let group = rootGroups.get(root);
+        if (!group || !group.isConnected) {
+            const folder = workspaceFolders.find(f => f.path === root);
+
+            group = document.createElement('div');
+            group.className = 'root-group';
+
+            const header = document.createElement('div');
+            header.className = 'root-group-header';
+            header.textContent = folder ? folder.name : root;
+            header.title = root;
+
+            group.appendChild(header);
+            resultsContainer.appendChild(group);
+            rootGroups.set(root, group);
+        }
+
+        return group;
+    }
+
+    // Handle a chunk of search results streamed while the search is running
+    function handleSearchResultsChunk(results) {
+        if (!results || results.length === 0) {
+            return;
+        }
+
+        // Remove the empty state before the first chunk
+        if (currentSearchResults.length === 0) {
+            resultsContainer.innerHTML = '';
+        }
+
+        results.forEach(result => {
+            const index = currentSearchResults.length;
+            currentSearchResults.push(result);
+            getResultsParent(result.root).appendChild(createSearchResultItem(result, index));
+        });
+
+        updateResultsCount(currentSearchResults.length);
+        showSearchProgress();
+    }
+
+    // Handle a progress update for the running operation
+    function handleProgress(progressMessage) {
+        lastProgressMessage = progressMessage;
+
+        if (currentMode === 'search') {
+            showSearchProgress();
+        } else {
+            showStatus(progressMessage, 'info');
+        }
+    }
+
+    // Show the latest progress together with the matches found so far
+    function showSearchProgress() {
+        const found = `${currentSearchResults.length} match(es) found so far`;
+        showStatus(lastProgressMessage ? `${lastProgressMessage}, ${found}` : `Searching... ${found}`, 'info');
+    }
+
+    // Handle an operation stopped by the user
+    function handleOperationCancelled(operation) {
+        setRunning(false);
+
+        switch (operation) {
+            case 'search':
+                setLoading(false);
+                if (currentSearchResults.length === 0) {
+                    showEmptyState();
+                }
+                showStatus(`Search cancelled (${currentSearchResults.length} match(es) found)`, 'info');
+                break;
+            case 'preview':
+                previewButton.disabled = false;
+                showStatus('Replacement preview cancelled', 'info');
+                break;
+            case 'apply':
+                applyButton.disabled = false;
+                showStatus('Apply cancelled, no files were changed', 'info');
                 break;
         }
+
+        updateUi();
     }
 
-    // Handle search results
-    function handleSearchResults(results) {
+    // Handle the end of a search
+    function handleSearchComplete(summary) {
         setLoading(false);
-        currentSearchResults = results || [];
+        setRunning(false);
         currentReplacementResults = [];
         currentApplicationResults = [];
         currentMode = 'search';
@@ -264,8 +908,7 @@
             return;
         }
 
-        hideStatus();
-        displaySearchResults(currentSearchResults);
+        showStatus(`Found ${summary.matchCount} match(es) in ${summary.fileCount} file(s)`, 'info');
         updateResultsCount(currentSearchResults.length);
         updateUi();
     }
@@ -273,8 +916,10 @@
     // Handle replacement preview results
     function handleReplacementResults(results) {
         previewButton.disabled = false;
+        setRunning(false);
         currentReplacementResults = results || [];
         currentApplicationResults = [];
+        selectedReplacements = new Set(currentReplacementResults.map((_, index) => index));
         currentMode = 'preview';
 
         if (currentReplacementResults.length === 0) {
@@ -287,12 +932,12 @@
         resultsModeSelector.classList.remove('hidden');
         updateModeSelectorButtons();
         displayReplacementComparison(currentReplacementResults);
-        updateResultsCount(currentReplacementResults.length);
     }
 
     // Handle application results
     function handleApplicationResults(results) {
         applyButton.disabled = false;
+        setRunning(false);
         currentApplicationResults = results || [];
         currentMode = 'applied';
 
@@ -303,10 +948,13 @@
         }
 
         const successCount = currentApplicationResults.filter(r => r.success).length;
-        const errorCount = currentApplicationResults.filter(r => !r.success).length;
+        const skippedCount = currentApplicationResults.filter(r => r.skipped).length;
+        const errorCount = currentApplicationResults.filter(r => !r.success && !r.skipped).length;
 
         if (errorCount > 0) {
             showStatus(`Applied to ${successCount} file(s), ${errorCount} error(s)`, 'error');
+        } else if (skippedCount > 0) {
+            showStatus(`Applied to ${successCount} file(s), skipped ${skippedCount} file(s) changed since the preview`, 'error');
         } else {
             showStatus(`Successfully applied to ${successCount} file(s)!`, 'info');
         }
@@ -320,6 +968,7 @@
     // Handle errors
     function handleSearchError(error) {
         setLoading(false);
+        setRunning(false);
         showStatus(`Search error: ${error}`, 'error');
         showEmptyState();
         updateUi();
@@ -327,12 +976,14 @@
 
     function handleReplacementError(error) {
         previewButton.disabled = false;
+        setRunning(false);
         showStatus(`Replacement error: ${error}`, 'error');
         updateUi();
     }
 
     function handleApplicationError(error) {
         applyButton.disabled = false;
+        setRunning(false);
         showStatus(`Application error: ${error}`, 'error');
         updateUi();
     }
@@ -343,7 +994,7 @@
 
         results.forEach((result, index) => {
             const resultItem = createSearchResultItem(result, index);
-            resultsContainer.appendChild(resultItem);
+            getResultsParent(result.root).appendChild(resultItem);
         });
     }
 
@@ -386,7 +1037,8 @@
                 type: 'navigateToMatch',
                 file: result.file,
                 line: result.line,
-                column: result.column
+                column: result.column,
+                root: result.root
             });
         };
         fileElement.addEventListener('click', navigateHandler);
@@ -398,12 +1050,31 @@
     // Display replacement comparison
     function displayReplacementComparison(replacements) {
         resultsContainer.innerHTML = '';
+        const fileGroups = new Map();
 
         replacements.forEach((replacement, index) => {
+            const fileKey = `${replacement.root || ''}|${replacement.filePath}`;
+            let fileGroup = fileGroups.get(fileKey);
+            if (!fileGroup) {
+                fileGroup = createReplacementFileGroup(replacement);
+                fileGroups.set(fileKey, fileGroup);
+                getResultsParent(replacement.root).appendChild(fileGroup.header);
+            }
+
             const resultItem = document.createElement('div');
             resultItem.className = 'result-item';
             resultItem.dataset.index = index;
 
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'replacement-checkbox';
+            checkbox.title = 'Include this replacement when applying';
+            fileGroup.checkboxes.push({ checkbox, resultItem, index });
+            checkbox.addEventListener('change', () => {
+                setReplacementSelected(index, checkbox.checked, resultItem);
+            });
+            setReplacementSelected(index, selectedReplacements.has(index), resultItem, checkbox);
+
             const fileElement = document.createElement('div');
             fileElement.className = 'result-file';
             fileElement.textContent = replacement.filePath || 'Unknown file';
@@ -434,6 +1105,7 @@
             comparisonElement.appendChild(originalColumn);
             comparisonElement.appendChild(replacementColumn);
 
+            resultItem.appendChild(checkbox);
             resultItem.appendChild(fileElement);
             resultItem.appendChild(locationElement);
             resultItem.appendChild(comparisonElement);
@@ -444,12 +1116,80 @@
                     type: 'navigateToMatch',
                     file: replacement.filePath,
                     line: replacement.line,
-                    column: replacement.column
+                    column: replacement.column,
+                    root: replacement.root
                 });
             });
 
-            resultsContainer.appendChild(resultItem);
+            getResultsParent(replacement.root).appendChild(resultItem);
         });
+
+        updateSelectionStatus();
+    }
+
+    // Create the header of a file's replacements, with buttons selecting all or none of them
+    function createReplacementFileGroup(replacement) {
+        const group = { header: document.createElement('div'), checkboxes: [] };
+        group.header.className = 'replacement-file-header';
+
+        const name = document.createElement('span');
+        name.className = 'replacement-file-name';
+        name.textContent = replacement.filePath || 'Unknown file';
+        group.header.appendChild(name);
+
+        const diffButton = document.createElement('button');
+        diffButton.className = 'link-button';
+        diffButton.textContent = 'Open diff';
+        diffButton.title = 'Compare the file with the result of applying its selected replacements';
+        diffButton.addEventListener('click', () => {
+            const replacements = group.checkboxes
+                .filter(({ index }) => selectedReplacements.has(index))
+                .map(({ index }) => currentReplacementResults[index]);
+            if (replacements.length === 0) {
+                showStatus('Select a replacement in this file to see its diff', 'error');
+                return;
+            }
+            vscode.postMessage({ type: 'openDiff', replacements });
+        });
+        group.header.appendChild(diffButton);
+
+        [['All', true], ['None', false]].forEach(([label, selected]) => {
+            const button = document.createElement('button');
+            button.className = 'link-button';
+            button.textContent = label;
+            button.title = `${selected ? 'Select' : 'Deselect'} every replacement in this file`;
+            button.addEventListener('click', () => {
+                group.checkboxes.forEach(({ checkbox, resultItem, index }) => {
+                    setReplacementSelected(index, selected, resultItem, checkbox);
+                });
+            });
+            group.header.appendChild(button);
+        });
+
+        return group;
+    }
+
+    // Include or exclude a previewed replacement from Apply
+    function setReplacementSelected(index, selected, resultItem, checkbox) {
+        if (selected) {
+            selectedReplacements.add(index);
+        } else {
+            selectedReplacements.delete(index);
+        }
+
+        if (checkbox) {
+            checkbox.checked = selected;
+        }
+        resultItem.classList.toggle('excluded', !selected);
+        updateSelectionStatus();
+    }
+
+    function updateSelectionStatus() {
+        const total = currentReplacementResults.length;
+        if (currentMode === 'preview' && total > 0) {
+            resultsCount.textContent = `${selectedReplacements.size} of ${total} replacement(s) selected`;
+        }
+        updateUi();
     }
 
     // Display application results
@@ -458,24 +1198,26 @@
 
         results.forEach((result, index) => {
             const resultItem = document.createElement('div');
-            resultItem.className = 'result-item ' + (result.success ? '' : 'result-error');
+            resultItem.className = 'result-item ' + (result.success ? '' : result.skipped ? 'result-skipped' : 'result-error');
             resultItem.dataset.index = index;
 
             const fileElement = document.createElement('div');
             fileElement.className = 'result-file';
-            fileElement.innerHTML = (result.success ? '✓ ' : '✗ ') + (result.filePath || 'Unknown file');
+            fileElement.textContent = (result.success ? '✓ ' : result.skipped ? '⚠ ' : '✗ ') + (result.filePath || 'Unknown file');
 
             const statusElement = document.createElement('div');
             statusElement.className = 'result-location';
             if (result.success) {
                 statusElement.textContent = `Applied ${result.replacementsApplied} replacement(s)`;
+            } else if (result.skipped) {
+                statusElement.textContent = `Skipped: ${result.error || 'changed since the preview'}`;
             } else {
                 statusElement.textContent = `Error: ${result.error || 'Unknown error'}`;
             }
 
             resultItem.appendChild(fileElement);
             resultItem.appendChild(statusElement);
-            resultsContainer.appendChild(resultItem);
+            getResultsParent(result.root).appendChild(resultItem);
         });
     }
 
@@ -491,7 +1233,6 @@
                 break;
             case 'preview':
                 displayReplacementComparison(currentReplacementResults);
-                updateResultsCount(currentReplacementResults.length);
                 break;
             case 'applied':
                 displayApplicationResults(currentApplicationResults);
@@ -526,6 +1267,21 @@
         }
     }
 
+    // Follow next/previous match navigation run from the editor
+    function handleSelectResult(index) {
+        const result = currentSearchResults[index];
+        if (currentMode !== 'search' || !result) {
+            return;
+        }
+
+        selectResult(index);
+        const item = resultsContainer.querySelector(`[data-index="${index}"]`);
+        if (item) {
+            item.scrollIntoView({ block: 'nearest' });
+        }
+        showDetailsForSearch(result);
+    }
+
     // Show details panel for search result
     function showDetailsForSearch(result) {
         detailsContent.innerHTML = '';
@@ -593,9 +1349,21 @@
             </div>
         `;
         updateResultsCount(0);
+        matchModeLabel.classList.add('hidden');
         hideDetails();
     }
 
+    // Show next to the result count which case and whole word options the results were found with
+    function showMatchMode(options) {
+        const modes = [options.matchCase ? 'Match case' : 'Ignore case'];
+        if (options.wholeWord) {
+            modes.push('Whole word');
+        }
+
+        matchModeLabel.textContent = modes.join(' · ');
+        matchModeLabel.classList.remove('hidden');
+    }
+
     // Update results count display
     function updateResultsCount(count) {
         resultsCount.textContent = `${count} ${count === 1 ? 'match' : 'matches'}`;
@@ -623,6 +1391,17 @@
         }
     }
 
+    // Show the Stop button while a backend operation is running
+    function setRunning(isRunning) {
+        lastProgressMessage = '';
+        stopButton.disabled = false;
+        if (isRunning) {
+            stopButton.classList.remove('hidden');
+        } else {
+            stopButton.classList.add('hidden');
+        }
+    }
+
     // Escape HTML to prevent XSS
     function escapeHtml(text) {
         const div = document.createElement('div');
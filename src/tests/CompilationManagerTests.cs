@@ -51,6 +51,79 @@ public async Task GetOrBuildCompilationAsync_NonExistentFile_ReturnsError()
         Assert.Null(result.Compilation);
     }
 
+    [Fact]
+    public async Task GetOrBuildCompilationAsync_UnchangedProject_UsesCache()
+    {
+        var projectDir = CreateTempProject();
+
+        try
+        {
+            var projectPath = Path.Combine(projectDir, "Temp.csproj");
+            var manager = new CompilationManager();
+
+            await manager.GetOrBuildCompilationAsync(projectPath);
+            var result = await manager.GetOrBuildCompilationAsync(projectPath);
+
+            Assert.True(result.IsFromCache);
+        }
+        finally
+        {
+            Directory.Delete(projectDir, true);
+        }
+    }
+
+    [Fact]
+    public async Task GetOrBuildCompilationAsync_ModifiedSourceFile_Rebuilds()
+    {
+        var projectDir = CreateTempProject();
+
+        try
+        {
+            var projectPath = Path.Combine(projectDir, "Temp.csproj");
+            var sourcePath = Path.Combine(projectDir, "Program.cs");
+            var manager = new CompilationManager();
+
+            await manager.GetOrBuildCompilationAsync(projectPath);
+
+            File.WriteAllText(sourcePath, "class Program { void Run() { int changed = 2; } }");
+            File.SetLastWriteTimeUtc(sourcePath, DateTime.UtcNow.AddMinutes(1));
+
+            var result = await manager.GetOrBuildCompilationAsync(projectPath);
+
+            Assert.False(result.IsFromCache);
+            Assert.Contains("changed", result.Compilation!.SyntaxTrees.Single().ToString());
+        }
+        finally
+        {
+            Directory.Delete(projectDir, true);
+        }
+    }
+
+    [Fact]
+    public async Task GetOrBuildCompilationAsync_AddedSourceFile_Rebuilds()
+    {
+        var projectDir = CreateTempProject();
+
+        try
+        {
+            var projectPath = Path.Combine(projectDir, "Temp.csproj");
+            var manager = new CompilationManager();
+
+            await manager.GetOrBuildCompilationAsync(projectPath);
+
+            File.WriteAllText(Path.Combine(projectDir, "Other.cs"), "class Other { }");
+
+            var result = await manager.GetOrBuildCompilationAsync(projectPath);
+
+            Assert.False(result.IsFromCache);
+            Assert.Equal(2, result.Compilation!.SyntaxTrees.Count());
+        }
+        finally
+        {
+            Directory.Delete(projectDir, true);
+        }
+    }
+
     [Fact]
     public void ClearCache_DoesNotThrow()
     {
@@ -98,4 +171,15 @@ public void CompilationResult_DefaultConstructor_InitializesEmptyErrors()
         Assert.Empty(result.Errors);
         Assert.False(result.HasErrors);
     }
+
+    private static string CreateTempProject()
+    {
+        var projectDir = Path.Combine(Path.GetTempPath(), Guid.NewGuid().ToString());
+        Directory.CreateDirectory(projectDir);
+
+        File.WriteAllText(Path.Combine(projectDir, "Temp.csproj"), "<Project Sdk=\"Microsoft.NET.Sdk\" />");
+        File.WriteAllText(Path.Combine(projectDir, "Program.cs"), "class Program { void Run() { int value = 1; } }");
+
+        return projectDir;
+    }
 }
@@ -0,0 +1,72 @@
+using SharpCodeSearch.Workspace;
+
+using Xunit;
+
+namespace SharpCodeSearch.Tests;
+
+public class GlobPatternTests
+{
+    [Fact]
+    public void IsMatch_DoubleStar_MatchesAnyDepth()
+    {
+        var glob = new GlobPattern("src/**/*.cs");
+
+        Assert.True(glob.IsMatch("src/App.cs"));
+        Assert.True(glob.IsMatch("src/Controllers/Home/HomeController.cs"));
+        Assert.False(glob.IsMatch("tests/App.cs"));
+    }
+
+    [Fact]
+    public void IsMatch_SingleStar_StaysInFolder()
+    {
+        var glob = new GlobPattern("src/*.cs");
+
+        Assert.True(glob.IsMatch("src/Program.cs"));
+        Assert.False(glob.IsMatch("src/Controllers/HomeController.cs"));
+    }
+
+    [Fact]
+    public void IsMatch_PatternWithoutSlash_MatchesInAnyFolder()
+    {
+        var glob = new GlobPattern("*.Designer.cs");
+
+        Assert.True(glob.IsMatch("Forms/Main.Designer.cs"));
+        Assert.True(glob.IsMatch("Main.designer.cs"));
+        Assert.False(glob.IsMatch("Forms/Main.cs"));
+    }
+
+    [Fact]
+    public void IsMatch_FolderPattern_MatchesFilesInside()
+    {
+        var glob = new GlobPattern("**/bin");
+
+        Assert.True(glob.IsMatch("src/backend/bin/Debug/App.cs"));
+        Assert.False(glob.IsMatch("src/binary/App.cs"));
+    }
+
+    [Fact]
+    public void IsMatch_BracesAndQuestionMark_AreSupported()
+    {
+        var alternatives = new GlobPattern("**/*.{g,designer}.cs");
+        var singleChar = new GlobPattern("src/Service?.cs");
+
+        Assert.True(alternatives.IsMatch("Api/Client.g.cs"));
+        Assert.False(alternatives.IsMatch("Api/Client.cs"));
+        Assert.True(singleChar.IsMatch("src/Service1.cs"));
+        Assert.False(singleChar.IsMatch("src/Service10.cs"));
+    }
+
+    [Fact]
+    public void IsMatch_WindowsSeparators_AreNormalized()
+    {
+        var glob = new GlobPattern("src/**/Generated/**");
+
+        Assert.True(glob.IsMatch("src\\Api\\Generated\\Client.cs"));
+    }
+
+    [Fact]
+    public void Constructor_EmptyPattern_Throws()
+    {
+        Assert.Throws<ArgumentException>(() => new GlobPattern(" "));
+    }
+}
@@ -1,5 +1,6 @@
 using Microsoft.CodeAnalysis;
 using Microsoft.CodeAnalysis.CSharp;
+using Microsoft.CodeAnalysis.CSharp.Syntax;
 
 using SharpCodeSearch.Models;
 using SharpCodeSearch.Services;
@@ -465,4 +466,138 @@ public void FindMatches_EmptyCode_ReturnsEmptyList()
         // Empty code should not throw, just return empty list
         Assert.NotNull(matches);
     }
+
+    [Fact]
+    public void FindMatches_ArgumentRepeatingReceiverText_RecordsArgumentSpan()
+    {
+        // Arrange
+        var code = "class C { bool M(object a) { return a.Equals(a); } }";
+        var tree = CSharpSyntaxTree.ParseText(code);
+        var pattern = _parser.Parse("Equals($args$)");
+        var matcher = new PatternMatcher();
+
+        // Act
+        var match = Assert.Single(matcher.FindMatches(pattern, tree.GetRoot()));
+
+        // Assert - the span is the argument, not the receiver's identical text
+        Assert.Equal(code.IndexOf("(a)") + 1, match.PlaceholderSpans["args"].Start);
+        Assert.Equal(1, match.PlaceholderSpans["args"].Length);
+    }
+
+    [Fact]
+    public void FindMatches_MemberRepeatingTargetText_RecordsMemberNameSpan()
+    {
+        // Arrange
+        var code = "class C { C a; void M() { var b = a.a; } }";
+        var tree = CSharpSyntaxTree.ParseText(code);
+        var pattern = _parser.Parse("$member$");
+        var matcher = new PatternMatcher();
+
+        // Act
+        var matches = matcher.FindMatches(pattern, tree.GetRoot());
+
+        // Assert
+        var match = Assert.Single(matches, m => m.Node is MemberAccessExpressionSyntax);
+        Assert.Equal("a", match.Placeholders["member"]);
+        Assert.Equal(code.IndexOf("a.a") + 2, match.PlaceholderSpans["member"].Start);
+    }
+
+    [Fact]
+    public void FindMatches_ArgumentsNotVerbatim_SpanCoversSourceArguments()
+    {
+        // Arrange
+        var code = "class C { void M() { N(1,2); } }";
+        var tree = CSharpSyntaxTree.ParseText(code);
+        var pattern = _parser.Parse("N($args$)");
+        var matcher = new PatternMatcher();
+
+        // Act
+        var match = Assert.Single(matcher.FindMatches(pattern, tree.GetRoot()));
+
+        // Assert - the value is normalized to "1, 2" but the span still covers "1,2"
+        Assert.Equal("1, 2", match.Placeholders["args"]);
+        Assert.Equal("1,2", code.Substring(match.PlaceholderSpans["args"].Start, match.PlaceholderSpans["args"].Length));
+    }
+
+    [Fact]
+    public void FindMatches_MemberAccessWithTypeConstraint_ChecksAccessedExpressionType()
+    {
+        // Arrange
+        var code = @"
+            using System.Threading.Tasks;
+            class Response { public int Result; }
+            class C {
+                int M(Task<int> task, Response response) { return task.Result + response.Result; }
+            }";
+        var tree = CSharpSyntaxTree.ParseText(code);
+        var compilation = CSharpCompilation.Create("test")
+            .AddSyntaxTrees(tree)
+            .AddReferences(MetadataReference.CreateFromFile(typeof(object).Assembly.Location));
+        var pattern = _parser.ApplyPlaceholderSettings(
+            _parser.Parse("$expr$.Result"),
+            new Dictionary<string, PlaceholderSettings> { ["expr"] = new() { Type = "Task" } });
+        var matcher = new PatternMatcher(compilation.GetSemanticModel(tree));
+
+        // Act
+        var match = Assert.Single(matcher.FindMatches(pattern, tree.GetRoot()));
+
+        // Assert - Task<int>.Result matches, the DTO's Result field does not
+        Assert.Equal("task", match.Placeholders["expr"]);
+        Assert.Equal(code.IndexOf("task.Result"), match.PlaceholderSpans["expr"].Start);
+    }
+
+    [Fact]
+    public void FindMatches_MemberAccess_BindsAccessedExpression()
+    {
+        // Arrange
+        var code = "var total = name.Length + order.Customer.Length;";
+        var tree = CSharpSyntaxTree.ParseText(code);
+        var pattern = _parser.Parse("$expr$.Length");
+        var matcher = new PatternMatcher();
+
+        // Act
+        var matches = matcher.FindMatches(pattern, tree.GetRoot());
+
+        // Assert - each member access matches once; the enclosing sum does not
+        Assert.Equal(2, matches.Count);
+        Assert.Equal(new[] { "name", "order.Customer" }, matches.Select(m => m.Placeholders["expr"]));
+        Assert.All(matches, m => Assert.IsType<MemberAccessExpressionSyntax>(m.Node));
+    }
+
+    [Fact]
+    public void FindMatches_MemberAccess_DoesNotMatchOtherMembers()
+    {
+        // Arrange
+        var code = "var total = name.Count + Length + items.LengthInBytes;";
+        var tree = CSharpSyntaxTree.ParseText(code);
+        var pattern = _parser.Parse("$expr$.Length");
+        var matcher = new PatternMatcher();
+
+        // Act
+        var matches = matcher.FindMatches(pattern, tree.GetRoot());
+
+        // Assert
+        Assert.Empty(matches);
+    }
+
+    [Fact]
+    public void FindMatches_IgnoreCase_MatchesNamesRegardlessOfCase()
+    {
+        var tree = CSharpSyntaxTree.ParseText("Console.WriteLine(\"a\");");
+        var pattern = _parser.Parse("writeline($args$)");
+
+        Assert.Empty(new PatternMatcher().FindMatches(pattern, tree.GetRoot()));
+        Assert.Single(new PatternMatcher(options: new MatchOptions { MatchCase = false }).FindMatches(pattern, tree.GetRoot()));
+    }
+
+    [Fact]
+    public void FindMatches_WholeWord_SkipsLongerNames()
+    {
+        var tree = CSharpSyntaxTree.ParseText("Console.Write(\"a\"); Console.WriteLine(\"b\");");
+        var pattern = _parser.Parse("Write($args$)");
+
+        Assert.Equal(2, new PatternMatcher().FindMatches(pattern, tree.GetRoot()).Count);
+        var match = Assert.Single(new PatternMatcher(options: new MatchOptions { WholeWord = true }).FindMatches(pattern, tree.GetRoot()));
+        Assert.Equal("\"a\"", match.Placeholders["args"]);
+    }
 }
@@ -1,3 +1,5 @@
+using System.Text.Json;
+
 using SharpCodeSearch.Services;
 
 using Xunit;
@@ -221,4 +223,122 @@ public void Parse_ComplexPattern_ParsesCorrectly()
         var result = _parser.Parse("if ($condition$) { $stmt$; }");
         Assert.Equal(5, result.Nodes.Count);
     }
+
+    [Fact]
+    public void ApplyPlaceholderSettings_SetsKindAndConstraints()
+    {
+        var ast = _parser.Parse("Log($value$, $args$)");
+        var settings = new Dictionary<string, Models.PlaceholderSettings>
+        {
+            ["value"] = new() { Kind = "identifier", Regex = "^log" },
+            ["args"] = new() { MaxCount = 2 },
+            ["unused"] = new() { Kind = "type" }
+        };
+
+        var result = _parser.ApplyPlaceholderSettings(ast, settings);
+
+        var placeholders = result.Nodes.OfType<Models.PlaceholderNode>().ToList();
+        Assert.Equal(Models.PlaceholderType.Identifier, placeholders[0].Type);
+        Assert.IsType<Models.RegexConstraint>(Assert.Single(placeholders[0].Constraints));
+        Assert.Equal(Models.PlaceholderType.Arguments, placeholders[1].Type);
+        Assert.Equal(2, Assert.IsType<Models.CountConstraint>(Assert.Single(placeholders[1].Constraints)).MaxCount);
+    }
+
+    [Fact]
+    public void ApplyPlaceholderSettings_CatalogConstraints_AcceptsEverySchemaKind()
+    {
+        // Constraints as a catalog entry stores them; the kinds are the enum of patterns.schema.json
+        var json = """
+            {
+                "a": { "kind": "expression", "regex": "^a" },
+                "b": { "kind": "identifier" },
+                "c": { "kind": "statement" },
+                "d": { "kind": "arguments", "maxCount": 1 },
+                "e": { "kind": "type" },
+                "f": { "kind": "member" },
+                "g": { "kind": "any" }
+            }
+            """;
+        var settings = JsonSerializer.Deserialize<Dictionary<string, Models.PlaceholderSettings>>(
+            json, new JsonSerializerOptions { PropertyNameCaseInsensitive = true });
+        var ast = _parser.Parse("$a$ $b$ $c$ $d$ $e$ $f$ $g$");
+
+        var result = _parser.ApplyPlaceholderSettings(ast, settings);
+
+        var placeholders = result.Nodes.OfType<Models.PlaceholderNode>().ToList();
+        Assert.Equal(
+            new[]
+            {
+                Models.PlaceholderType.Expression, Models.PlaceholderType.Identifier, Models.PlaceholderType.Statement,
+                Models.PlaceholderType.Arguments, Models.PlaceholderType.Type, Models.PlaceholderType.Member,
+                Models.PlaceholderType.Any
+            },
+            placeholders.Select(p => p.Type));
+        Assert.IsType<Models.RegexConstraint>(Assert.Single(placeholders[0].Constraints));
+        Assert.Equal(1, Assert.IsType<Models.CountConstraint>(Assert.Single(placeholders[3].Constraints)).MaxCount);
+    }
+
+    [Fact]
+    public void ApplyPlaceholderSettings_UnknownKind_ThrowsPatternParseException()
+    {
+        var ast = _parser.Parse("$x$.ToString()");
+        var settings = new Dictionary<string, Models.PlaceholderSettings>
+        {
+            ["x"] = new() { Kind = "lambda" }
+        };
+
+        Assert.Throws<PatternParseException>(() => _parser.ApplyPlaceholderSettings(ast, settings));
+    }
+
+    [Fact]
+    public void Diagnose_UnclosedPlaceholder_ReportsPositionAndKeepsEarlierPlaceholders()
+    {
+        var diagnostics = _parser.Diagnose("$obj$.Method($arg");
+
+        Assert.False(diagnostics.IsValid);
+        var error = Assert.Single(diagnostics.PatternErrors);
+        Assert.Equal(13, error.Position);
+        var placeholder = Assert.Single(diagnostics.Placeholders);
+        Assert.Equal("obj", placeholder.Name);
+    }
+
+    [Fact]
+    public void Diagnose_UnknownReplacePlaceholder_ReportsItsRange()
+    {
+        var diagnostics = _parser.Diagnose("$x$ + $x$", "$x$ * $y$");
+
+        Assert.Empty(diagnostics.PatternErrors);
+        var error = Assert.Single(diagnostics.ReplaceErrors);
+        Assert.Equal(6, error.Position);
+        Assert.Equal(3, error.Length);
+        var placeholder = Assert.Single(diagnostics.Placeholders);
+        Assert.Equal(2, placeholder.Count);
+    }
+
+    [Fact]
+    public void Diagnose_InvalidPlaceholderSetting_ReportsRangeOfThePlaceholder()
+    {
+        var settings = new Dictionary<string, Models.PlaceholderSettings>
+        {
+            ["msg"] = new() { Kind = "identifier" },
+            ["level"] = new() { Kind = "bogus" }
+        };
+
+        var diagnostics = _parser.Diagnose("Log($msg$, $level$)", settings: settings);
+
+        var error = Assert.Single(diagnostics.PatternErrors);
+        Assert.Equal(11, error.Position);
+        Assert.Equal(7, error.Length);
+        Assert.Equal(new[] { "msg", "level" }, diagnostics.Placeholders.Select(p => p.Name));
+    }
+
+    [Fact]
+    public void Diagnose_EmptyReplacePlaceholder_ReportsItsRange()
+    {
+        var diagnostics = _parser.Diagnose("Log($msg$)", "Write($msg$, $$)");
+
+        var error = Assert.Single(diagnostics.ReplaceErrors);
+        Assert.Equal(13, error.Position);
+        Assert.Equal(2, error.Length);
+    }
 }
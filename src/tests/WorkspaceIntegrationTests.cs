@@ -24,6 +24,38 @@ public async Task WorkspaceScanner_FindsProjects()
         Assert.All(projects, p => Assert.EndsWith(".csproj", p));
     }
 
+    [Fact]
+    public void WorkspaceScanner_ProjectPathFilter_SelectsOnlyThatProject()
+    {
+        // Arrange
+        var tempDir = Path.Combine(Path.GetTempPath(), Guid.NewGuid().ToString());
+        var firstProject = Path.Combine(tempDir, "First", "App.csproj");
+        var secondProject = Path.Combine(tempDir, "Second", "App.csproj");
+        Directory.CreateDirectory(Path.GetDirectoryName(firstProject)!);
+        Directory.CreateDirectory(Path.GetDirectoryName(secondProject)!);
+        File.WriteAllText(firstProject, "<Project Sdk=\"Microsoft.NET.Sdk\" />");
+        File.WriteAllText(secondProject, "<Project Sdk=\"Microsoft.NET.Sdk\" />");
+
+        try
+        {
+            var scanner = new WorkspaceScanner(tempDir);
+
+            // Act
+            var byName = scanner.FindProjects("App.csproj");
+            var byPath = scanner.FindProjects(secondProject);
+            var byRelativePath = scanner.FindProjects(Path.Combine("First", "App.csproj"));
+
+            // Assert
+            Assert.Equal(2, byName.Count);
+            Assert.Equal(new[] { secondProject }, byPath);
+            Assert.Equal(new[] { firstProject }, byRelativePath);
+        }
+        finally
+        {
+            Directory.Delete(tempDir, true);
+        }
+    }
+
     [Fact]
     public async Task WorkspaceScanner_FindsCSharpFiles()
     {
@@ -161,6 +193,92 @@ public async Task WorkspaceMatcher_FiltersFiles()
         Assert.All(result.Matches, m => Assert.Contains("Tests.cs", m.FilePath));
     }
 
+    [Fact]
+    public async Task WorkspaceMatcher_AppliesIncludeAndExcludeGlobs()
+    {
+        // Arrange
+        var workspacePath = GetWorkspaceRoot();
+        var manager = new CompilationManager();
+        var matcher = new WorkspaceMatcher(manager);
+
+        var parser = new PatternParser();
+        var pattern = parser.Parse("$type$ $name$");
+
+        var options = new WorkspaceSearchOptions
+        {
+            IncludeGlobs = new[] { "src/backend/**" },
+            ExcludeGlobs = new[] { "**/Services/**" }
+        };
+
+        // Act
+        var result = await matcher.SearchWorkspaceAsync(pattern, workspacePath, options);
+
+        // Assert
+        Assert.NotEmpty(result.Matches);
+        Assert.All(result.Matches, m =>
+        {
+            var relativePath = Path.GetRelativePath(workspacePath, m.FilePath).Replace('\\', '/');
+            Assert.StartsWith("src/backend/", relativePath);
+            Assert.DoesNotContain("/Services/", relativePath);
+        });
+    }
+
+    [Fact]
+    public async Task WorkspaceMatcher_LimitsSearchToScopeFiles()
+    {
+        // Arrange
+        var workspacePath = GetWorkspaceRoot();
+        var manager = new CompilationManager();
+        var matcher = new WorkspaceMatcher(manager);
+
+        var parser = new PatternParser();
+        var pattern = parser.Parse("$type$ $name$");
+
+        var scopeFile = Path.Combine(workspacePath, "src", "backend", "Workspace", "GlobPattern.cs");
+        var options = new WorkspaceSearchOptions
+        {
+            Files = new[] { scopeFile }
+        };
+
+        // Act
+        var result = await matcher.SearchWorkspaceAsync(pattern, workspacePath, options);
+
+        // Assert
+        Assert.NotEmpty(result.Matches);
+        Assert.All(result.Matches, m => Assert.Equal(Path.GetFullPath(scopeFile), Path.GetFullPath(m.FilePath)));
+    }
+
+    [Fact]
+    public async Task WorkspaceMatcher_SearchesOverlayInsteadOfDisk()
+    {
+        // Arrange
+        var workspacePath = GetWorkspaceRoot();
+        var manager = new CompilationManager();
+        var matcher = new WorkspaceMatcher(manager);
+
+        var parser = new PatternParser();
+        var pattern = parser.Parse("UnsavedOverlayMarker($args$)");
+
+        var overlayFile = Path.Combine(workspacePath, "src", "backend", "Workspace", "GlobPattern.cs");
+        var options = new WorkspaceSearchOptions
+        {
+            Files = new[] { overlayFile },
+            Overlays = new Dictionary<string, string>
+            {
+                [overlayFile] = "class Unsaved\n{\n    void Run()\n    {\n        UnsavedOverlayMarker(42);\n    }\n}\n"
+            }
+        };
+
+        // Act
+        var result = await matcher.SearchWorkspaceAsync(pattern, workspacePath, options);
+        var fromDisk = await matcher.SearchWorkspaceAsync(pattern, workspacePath, new WorkspaceSearchOptions { Files = new[] { overlayFile } });
+
+        // Assert
+        var match = Assert.Single(result.Matches);
+        Assert.Equal(5, match.Location.GetLineSpan().StartLinePosition.Line + 1);
+        Assert.Empty(fromDisk.Matches);
+    }
+
     [Fact]
     public async Task WorkspaceMatcher_ReportsProgress()
     {
@@ -187,6 +305,29 @@ public async Task WorkspaceMatcher_ReportsProgress()
         Assert.Contains(progressReports, p => p.Stage == "complete");
     }
 
+    [Fact]
+    public async Task WorkspaceMatcher_ReportsMatchesAsFound()
+    {
+        // Arrange
+        var workspacePath = GetWorkspaceRoot();
+        var manager = new CompilationManager();
+        var reportedMatches = new List<MatchResult>();
+        var matchReporter = new TestMatchReporter(reportedMatches);
+        var matcher = new WorkspaceMatcher(manager, matchReporter: matchReporter);
+
+        var parser = new PatternParser();
+        var pattern = parser.Parse("Console.WriteLine($arg$)");
+
+        var options = new WorkspaceSearchOptions();
+
+        // Act
+        var result = await matcher.SearchWorkspaceAsync(pattern, workspacePath, options);
+
+        // Assert
+        Assert.NotEmpty(reportedMatches);
+        Assert.Equal(result.TotalMatchesFound, reportedMatches.Count);
+    }
+
     [Fact]
     public async Task WorkspaceMatcher_HandlesEmptyWorkspace()
     {
@@ -282,4 +423,23 @@ public void ReportProgress(ProgressInfo progress)
             _reports.Add(progress);
         }
     }
+
+    private class TestMatchReporter : IMatchReporter
+    {
+        private readonly List<MatchResult> _matches;
+
+        public TestMatchReporter(List<MatchResult> matches)
+        {
+            _matches = matches;
+        }
+
+        public void ReportMatch(MatchResult match)
+        {
+            // Matches are reported from parallel workers
+            lock (_matches)
+            {
+                _matches.Add(match);
+            }
+        }
+    }
 }